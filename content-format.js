@@ -0,0 +1,93 @@
+// Rules for the generated tutorial markdown that the viewer and the command
+// line tools have to agree on: the chapter list of an index.md and the ids
+// of headings. The browser loads this before script.js (it is then
+// window.TutorialContentFormat), tools/lint-content.js loads it with require().
+(function (root, factory) {
+    const format = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = format;
+    } else {
+        root.TutorialContentFormat = format;
+    }
+}(this, function () {
+    'use strict';
+
+    // Parse the numbered "## Chapters" list of an index.md, null if it has none.
+    // Entries look like "1. [Title\n](01_file.md)" - the generator puts a line
+    // break inside the link text, so titles are whitespace-normalized. offset
+    // is the position of the entry's number in indexMarkdown.
+    function parseChapterList(indexMarkdown) {
+        const sectionMatch = indexMarkdown.match(/^##\s+Chapters\s*$([\s\S]*?)(?=^##?\s|^---\s*$|(?![\s\S]))/m);
+        if (!sectionMatch) return null;
+
+        const sectionStart = sectionMatch.index + sectionMatch[0].length - sectionMatch[1].length;
+        const entries = [];
+        const entryPattern = /^\s*(\d+)\.\s*\[([\s\S]*?)\]\(([^)\s]+)\)/gm;
+        let match;
+
+        while ((match = entryPattern.exec(sectionMatch[1])) !== null) {
+            entries.push({
+                num: parseInt(match[1], 10),
+                title: match[2].replace(/\s+/g, ' ').trim(),
+                file: match[3],
+                offset: sectionStart + match.index + match[0].indexOf(match[1])
+            });
+        }
+
+        return entries;
+    }
+
+    // Turn heading text into a URL-friendly id ("How it Works Internally" -> "how-it-works-internally")
+    function slugify(text) {
+        return text
+            .toLowerCase()
+            .trim()
+            .replace(/[^\w\s-]/g, '')
+            .replace(/[\s_]+/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    // Ids of the viewer's own elements: the ones in index.html and the ones
+    // script.js adds. Keep this in sync with both, they point back here.
+    const RESERVED_IDS = [
+        'annotations-export', 'annotations-import', 'annotations-import-file', 'annotations-list',
+        'annotations-panel', 'annotations-status', 'chapter-list', 'concepts-link', 'content',
+        'glossary-preview', 'live-status', 'markdown-content', 'offline-status', 'page-toc',
+        'search-button', 'search-dropdown', 'search-input', 'search-regex', 'search-whole-word',
+        'selection-note', 'sidebar', 'sidebar-backdrop', 'sidebar-toggle', 'theme-select',
+        'version-banner', 'version-select'
+    ];
+    const RESERVED_ID_PATTERNS = [
+        /^annotation-[a-z0-9]+$/,
+        /^d?mermaid-diagram-\d+$/,
+        /^print-.+-(index|ch\d+)$/,
+        /^search-option-\d+$/,
+        /^tutorial-group-\d+$/
+    ];
+
+    function isReservedId(id) {
+        return RESERVED_IDS.includes(id) || RESERVED_ID_PATTERNS.some(pattern => pattern.test(id));
+    }
+
+    // Ids for the headings of one document, in document order. Repeated
+    // headings get a numeric suffix, like GitHub does. A heading whose id the
+    // viewer uses itself ("Content") is numbered as if it was repeated, so
+    // links to it do not end up at the viewer's element.
+    function createHeadingIds() {
+        const usedSlugs = new Map();
+
+        return function headingId(text) {
+            const base = slugify(text) || 'section';
+            let id;
+            do {
+                const count = usedSlugs.get(base) || 0;
+                usedSlugs.set(base, count + 1);
+                id = count === 0 ? base : `${base}-${count}`;
+            } while (isReservedId(id));
+            return id;
+        };
+    }
+
+    return { parseChapterList, slugify, createHeadingIds };
+}));
@@ -2,138 +2,533 @@ document.addEventListener('DOMContentLoaded', function () {
     // We'll populate this dynamically
     let tutorialGroups = {};
 
-    // Function to scan directories and build tutorial groups
-    async function buildTutorialGroups() {
-        try {
-            // Define known tutorial directories to check
-            // This list can be expanded as needed
-            const directoriesToCheck = [
-                'sw.administration',
-                'sw.storefront'
-                // Add other directories as needed
-            ];
-
-            // Process each directory
-            for (const dir of directoriesToCheck) {
-                try {
-                    // Try to fetch the index file
-                    const indexResponse = await fetch(`output/${dir}/index.md`);
-                    if (!indexResponse.ok) continue; // Skip if index doesn't exist
+    // Escape a string for use in HTML text or a quoted attribute value
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Tags and attributes rendered markdown may contain. Everything else is
+    // removed: dangerous elements with their content, unknown ones keep their text.
+    const ALLOWED_TAGS = new Set([
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+        'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+        'mark', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+    ]);
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form',
+        'textarea', 'select', 'button', 'noscript', 'template', 'svg', 'math', 'link', 'meta', 'base'
+    ]);
+    const ALLOWED_ATTRIBUTES = {
+        '*': ['title'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        code: ['class'],
+        ol: ['start'],
+        td: ['align'],
+        th: ['align'],
+        input: ['type', 'checked', 'disabled'],
+        details: ['open']
+    };
+    const URL_ATTRIBUTES = new Set(['href', 'src']);
+    const ALLOWED_URL_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+    // Sanitize HTML against the allowlist above. The HTML is parsed into an
+    // inert document, so nothing in it runs or loads while it is cleaned.
+    function sanitizeHtml(html) {
+        const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+
+        function clean(parent) {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                const tag = node.tagName.toLowerCase();
+                if (DROPPED_TAGS.has(tag)) {
+                    node.remove();
+                    return;
+                }
 
-                    // Fetch the directory listing (this would be a JSON file in a real implementation)
-                    // For now, we'll manually scan for chapter files
-                    const chapters = await scanChapterFiles(dir);
+                clean(node);
 
-                    if (chapters.length > 0) {
-                        // Use a friendly name for display (remove 'sw.' prefix if present)
-                        const displayName = dir.startsWith('sw.') ?
-                            dir.substring(3).charAt(0).toUpperCase() + dir.substring(3).slice(1) :
-                            dir;
+                if (!ALLOWED_TAGS.has(tag)) {
+                    // Keep the text of unknown elements
+                    while (node.firstChild) parent.insertBefore(node.firstChild, node);
+                    node.remove();
+                    return;
+                }
 
-                        tutorialGroups[displayName] = chapters;
+                const allowed = ALLOWED_ATTRIBUTES['*'].concat(ALLOWED_ATTRIBUTES[tag] || []);
+                Array.from(node.attributes).forEach(attribute => {
+                    const name = attribute.name.toLowerCase();
+                    if (!allowed.includes(name) || (URL_ATTRIBUTES.has(name) && !isSafeUrl(attribute.value))) {
+                        node.removeAttribute(attribute.name);
                     }
-                } catch (error) {
-                    console.warn(`Could not process directory ${dir}:`, error);
+                });
+
+                // Only language classes on code, only checkboxes as inputs (task lists)
+                if (tag === 'code' && node.hasAttribute('class')) {
+                    const languages = node.className.split(/\s+/).filter(name => /^language-[\w+#.-]+$/.test(name));
+                    node.className = languages.join(' ');
+                    if (!node.className) node.removeAttribute('class');
+                }
+                if (tag === 'input' && node.getAttribute('type') !== 'checkbox') {
+                    node.remove();
+                }
+            });
+        }
+
+        clean(doc.body);
+        return doc.body.innerHTML;
+    }
+
+    // Relative URLs and the allowed protocols only (no javascript:, data:, ...)
+    function isSafeUrl(value) {
+        // Browsers ignore control characters and whitespace inside a scheme
+        const normalized = value.replace(/[\u0000-\u0020]/g, '');
+        try {
+            return ALLOWED_URL_PROTOCOLS.has(new URL(normalized, window.location.href).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Render pipeline. A chapter is shown in these steps, extensions (see
+    // setupExtensions) hook into the marked ones:
+    //
+    //   1. markdown hooks      change the markdown before it is parsed
+    //   2. marked              parses it, with the extensions added by useMarkedExtension()
+    //   3. sanitizeHtml()      removes everything not on the allowlist
+    //   4. heading ids, anchor links, "On this page", previous/next, code toolbars
+    //   5. transform hooks     change the rendered DOM
+    //   6. search matches, notes, diagrams, content links and glossary links
+    //   7. rendered hooks      the chapter is complete
+    //
+    // Glossary links are added in step 6 once the glossary is built; before
+    // that they are added later, when the browser was idle to build it.
+    //
+    // Steps 1-3 are renderMarkdown(), which the search index, the glossary,
+    // printing and the compare view use as well, so they all see the same HTML.
+    // Transforms run on the chapter view, the print view and the documents of
+    // the search index, so they may change the text of a chapter: search
+    // positions are offsets in the transformed text. A transform has to give
+    // the same text every time it runs on the same chapter, and must not rely
+    // on the viewer's own controls (.viewer-ui), which only the chapter view
+    // has. Elements it adds that are not text of the chapter (badges,
+    // buttons) should have the class viewer-ui as well, so they are not searched.
+    //
+    // Hooks and their arguments:
+    //
+    //   markdown   (markdown, context) => markdown
+    //   transform  (root, context) => undefined, or a Promise to wait for
+    //   navigate   (route) => undefined, before a view is shown
+    //   rendered   (context) => undefined, after a chapter is shown
+    //
+    // context is { chapter, path, view }: the chapter entry, its file path and
+    // 'chapter', 'print', 'search', 'glossary' or 'compare'. The compare view
+    // renders single sections of two files, its chapter and path are null.
+    const renderHooks = { markdown: [], transform: [], navigate: [], rendered: [] };
+
+    // A failing extension is logged and skipped, the chapter is still shown
+    function preprocessMarkdown(markdown, context) {
+        return renderHooks.markdown.reduce((text, hook) => {
+            try {
+                const result = hook(text, context);
+                return typeof result === 'string' ? result : text;
+            } catch (error) {
+                console.error('Error in a markdown hook:', error);
+                return text;
+            }
+        }, markdown);
+    }
+
+    async function runTransforms(root, context) {
+        for (const hook of renderHooks.transform) {
+            try {
+                await hook(root, context);
+            } catch (error) {
+                console.error('Error in a transform hook:', error);
+            }
+        }
+    }
+
+    function notifyHooks(name, detail) {
+        renderHooks[name].forEach(hook => {
+            try {
+                hook(detail);
+            } catch (error) {
+                console.error(`Error in a ${name} hook:`, error);
+            }
+        });
+    }
+
+    // Markdown to sanitized HTML (steps 1-3 of the render pipeline)
+    function renderMarkdown(markdown, context) {
+        return sanitizeHtml(marked.parse(preprocessMarkdown(markdown, context)));
+    }
+
+    // Extensions are scripts loaded next to script.js (in index.html, after
+    // it). They add a function to window.tutorialViewerExtensions, which is
+    // called with the viewer API once the viewer starts:
+    //
+    //   (window.tutorialViewerExtensions = window.tutorialViewerExtensions || []).push(viewer => {
+    //       viewer.addHook('transform', root => {
+    //           root.querySelectorAll('blockquote').forEach(quote => {
+    //               if (/^Note:/.test(quote.textContent.trim())) quote.classList.add('note');
+    //           });
+    //       });
+    //   });
+    //
+    // The API:
+    //
+    //   addHook(name, callback)         one of the hooks above
+    //   useMarkedExtension(extension)   passed to marked.use(); HTML it renders is sanitized
+    //   navigate(route)                 open a view, e.g. { chapterId, sectionId }
+    //   escapeHtml(value)
+    //
+    // The static export (tools/export-static.js) loads the same extensions.
+    function setupExtensions() {
+        const viewer = Object.freeze({
+            addHook(name, callback) {
+                if (!renderHooks[name] || typeof callback !== 'function') {
+                    throw new Error(`Unknown hook "${name}", use one of: ${Object.keys(renderHooks).join(', ')}`);
+                }
+                renderHooks[name].push(callback);
+            },
+            useMarkedExtension(...extensions) {
+                marked.use(...extensions);
+            },
+            navigate: route => navigate(route),
+            escapeHtml
+        });
+
+        const register = extension => {
+            try {
+                extension(viewer);
+            } catch (error) {
+                console.error('Error registering an extension:', error);
+            }
+        };
+
+        const queued = Array.isArray(window.tutorialViewerExtensions) ? window.tutorialViewerExtensions : [];
+        queued.forEach(register);
+
+        // Extensions loaded later register right away
+        window.tutorialViewerExtensions = {
+            push(...extensions) {
+                extensions.forEach(register);
+                return extensions.length;
+            }
+        };
+    }
+
+    // Chapter contents are kept in memory for the session and in IndexedDB
+    // between sessions. Navigation, search, printing and link checks all load
+    // files through loadContent(), so each file is downloaded at most once and
+    // on later visits only revalidated with a conditional request.
+    const CONTENT_DATABASE = 'tutorial-content';
+    const CONTENT_STORE = 'files';
+    const contentCache = new Map(); // path -> text, up to date for this session
+    const contentRequests = new Map(); // path -> pending request for the text
+    const missingContent = new Set(); // paths the server answered with 404
+    let contentDatabase = null;
+
+    // Open the IndexedDB store once. Resolves to null where storage is not
+    // available (e.g. private browsing), the memory cache still works then.
+    function openContentDatabase() {
+        if (!contentDatabase) {
+            contentDatabase = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
                 }
+
+                const request = indexedDB.open(CONTENT_DATABASE, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(CONTENT_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            });
+        }
+        return contentDatabase;
+    }
+
+    // Stored copy of a file: { text, etag, lastModified }, or null
+    async function readStoredContent(path) {
+        const db = await openContentDatabase();
+        if (!db) return null;
+
+        return new Promise(resolve => {
+            const request = db.transaction(CONTENT_STORE).objectStore(CONTENT_STORE).get(path);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    async function writeStoredContent(path, entry) {
+        const db = await openContentDatabase();
+        if (!db) return;
+
+        try {
+            db.transaction(CONTENT_STORE, 'readwrite').objectStore(CONTENT_STORE).put(entry, path);
+        } catch (error) {
+            console.warn(`Could not store ${path}:`, error);
+        }
+    }
+
+    // Text of a file below output/. Concurrent calls for the same file share
+    // one request.
+    function loadContent(path) {
+        if (contentCache.has(path)) {
+            return Promise.resolve(contentCache.get(path));
+        }
+
+        if (!contentRequests.has(path)) {
+            contentRequests.set(path, fetchContent(path).finally(() => contentRequests.delete(path)));
+        }
+        return contentRequests.get(path);
+    }
+
+    async function fetchContent(path) {
+        const stored = await readStoredContent(path);
+
+        // Let the server answer 304 Not Modified if the stored copy is current
+        const headers = {};
+        if (stored && stored.etag) headers['If-None-Match'] = stored.etag;
+        if (stored && stored.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+        let response;
+        try {
+            response = await fetch(path, { headers });
+        } catch (error) {
+            // Offline: an older copy is better than nothing
+            if (stored) return stored.text;
+            throw error;
+        }
+
+        if (response.status === 304 && stored) {
+            contentCache.set(path, stored.text);
+            return stored.text;
+        }
+
+        if (!response.ok) {
+            if (response.status === 404) markContentMissing(path);
+            throw new Error(`Could not load ${path} (HTTP ${response.status})`);
+        }
+
+        const text = await response.text();
+        contentCache.set(path, text);
+        writeStoredContent(path, {
+            text,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        });
+        return text;
+    }
+
+    // Chapters are listed in index.md without checking that they exist, a
+    // missing one is found when it is first loaded. Flag its sidebar link.
+    function markContentMissing(path) {
+        if (missingContent.has(path)) return;
+        missingContent.add(path);
+        console.warn(`${path} is listed in the tutorial but missing`);
+
+        document.querySelectorAll('#chapter-list a').forEach(link => {
+            if (link.dataset.path !== path) return;
+            link.classList.add('broken-link');
+            link.title = `Chapter not found: ${path}`;
+        });
+    }
+
+    // Location of the tutorial manifest. It lists the tutorial directories
+    // below output/ in the order they should appear in the sidebar:
+    //   { "tutorials": ["sw.storefront", ...] }
+    // Tutorials generated per Shopware release are listed by version instead,
+    // newest first, each version living in output/<id>/:
+    //   { "versions": [{ "id": "6.6", "label": "Shopware 6.6", "tutorials": [...] }, ...] }
+    const TUTORIAL_MANIFEST = 'output/tutorials.json';
+
+    // Versions of the documentation, newest first. An unversioned manifest
+    // gives a single version with id null.
+    let versions = [];
+    let currentVersion = null;
+
+    // Function to read the manifest and build the tutorial groups of a version
+    // (the latest one if versionId is unknown). The version and groups shown
+    // so far are kept if it fails.
+    async function buildTutorialGroups(versionId) {
+        try {
+            if (versions.length === 0) {
+                versions = await loadTutorialManifest();
             }
+            const version = findVersion(versionId) || versions[0];
+            const groups = await loadVersionGroups(version);
 
             // If no tutorial groups were found, show an error
-            if (Object.keys(tutorialGroups).length === 0) {
+            if (Object.keys(groups).length === 0) {
                 document.getElementById('markdown-content').innerHTML = `
                     <div class="error">
                         <h2>No Tutorials Found</h2>
-                        <p>Could not find any tutorial directories in the output folder. Please check your directory structure.</p>
+                        <p>Could not find any tutorial directories in ${escapeHtml(versionRoot(version))}. Please check ${TUTORIAL_MANIFEST}.</p>
                     </div>
                 `;
                 return false;
             }
 
+            currentVersion = version;
+            tutorialGroups = groups;
             return true;
         } catch (error) {
             console.error('Error building tutorial groups:', error);
             document.getElementById('markdown-content').innerHTML = `
                 <div class="error">
                     <h2>Error Loading Tutorials</h2>
-                    <p>${error.message}</p>
+                    <p>${escapeHtml(error.message)}</p>
                 </div>
             `;
+            announce('Could not load the tutorials');
             return false;
         }
     }
 
-    // Function to scan for chapter files in a directory
-    async function scanChapterFiles(dir) {
-        const chapters = [];
+    // Tutorial groups (display name -> chapters) of a version, read from the
+    // index.md of every tutorial directory it lists
+    async function loadVersionGroups(version) {
+        const root = versionRoot(version);
+        const groups = {};
 
-        // First, add the index file
-        const indexResponse = await fetch(`output/${dir}/index.md`);
-        if (indexResponse.ok) {
-            chapters.push({
-                id: `${dir.toLowerCase()}-index`,
-                title: 'Tutorial Overview',
-                path: `output/${dir}/index.md`
-            });
-
-            // For each directory, we'll check for specific chapter files based on the directory
-            if (dir === 'sw.storefront') {
-                // Storefront chapters
-                const storefrontChapters = [
-                    { num: 1, title: 'Storefront Routing (RequestTransformer, Router)', file: '01_storefront_routing__requesttransformer__router__.md' },
-                    { num: 2, title: 'Theme System (ThemeService, ThemeCompiler, StorefrontPluginConfiguration)', file: '02_theme_system__themeservice__themecompiler__storefrontpluginconfiguration__.md' },
-                    { num: 3, title: 'StorefrontController', file: '03_storefrontcontroller_.md' },
-                    { num: 4, title: 'Page / PageLoader Pattern', file: '04_page___pageloader_pattern_.md' },
-                    { num: 5, title: 'Pagelet / PageletLoader Pattern', file: '05_pagelet___pageletloader_pattern_.md' },
-                    { num: 6, title: 'Captcha Abstraction', file: '06_captcha_abstraction_.md' },
-                    { num: 7, title: 'RouteRequestEvent', file: '07_routerequestevent_.md' },
-                    { num: 8, title: 'PageLoadedHook', file: '08_pageloadedhook_.md' }
-                ];
-
-                for (const chapter of storefrontChapters) {
-                    const chapterPath = `output/${dir}/${chapter.file}`;
-                    try {
-                        const response = await fetch(chapterPath);
-                        if (response.ok) {
-                            chapters.push({
-                                id: `${dir.toLowerCase()}-ch${chapter.num}`,
-                                title: `${chapter.num}. ${chapter.title}`,
-                                path: chapterPath
-                            });
-                        }
-                    } catch (e) {
-                        console.warn(`Could not fetch chapter: ${chapterPath}`, e);
-                    }
+        // Process each directory
+        for (const dir of version.tutorials) {
+            try {
+                let indexMarkdown;
+                try {
+                    indexMarkdown = await loadContent(`${root}/${dir}/index.md`);
+                } catch (error) {
+                    console.warn(`Tutorial ${dir} is listed in the manifest but its index.md could not be loaded:`, error);
+                    continue;
                 }
-            } else if (dir === 'sw.administration') {
-                // Administration chapters
-                const adminChapters = [
-                    { num: 1, title: 'Administration Bundle', file: '01_administration_bundle_.md' },
-                    { num: 2, title: 'Administration Controllers', file: '02_administration_controllers_.md' },
-                    { num: 3, title: 'Admin Search Service', file: '03_admin_search_service_.md' },
-                    { num: 4, title: 'Snippet Management', file: '04_snippet_management_.md' },
-                    { num: 5, title: 'User Configuration Service', file: '05_user_configuration_service_.md' },
-                    { num: 6, title: 'Admin Extension API & App Interaction', file: '06_admin_extension_api___app_interaction_.md' },
-                    { num: 7, title: 'Admin Asset Management & Build Process', file: '07_admin_asset_management___build_process_.md' }
-                ];
-
-                for (const chapter of adminChapters) {
-                    const chapterPath = `output/${dir}/${chapter.file}`;
-                    try {
-                        const response = await fetch(chapterPath);
-                        if (response.ok) {
-                            chapters.push({
-                                id: `${dir.toLowerCase()}-ch${chapter.num}`,
-                                title: `${chapter.num}. ${chapter.title}`,
-                                path: chapterPath
-                            });
-                        }
-                    } catch (e) {
-                        console.warn(`Could not fetch chapter: ${chapterPath}`, e);
-                    }
+
+                const chapters = scanChapterFiles(root, dir, indexMarkdown);
+
+                if (chapters.length > 0) {
+                    // Prefer the "# Tutorial: ..." heading, fall back to the directory name
+                    const displayName = parseTutorialTitle(indexMarkdown) || formatDirectoryName(dir);
+                    groups[displayName] = chapters;
                 }
+            } catch (error) {
+                console.warn(`Could not process directory ${dir}:`, error);
             }
-            // Add more directory-specific chapters as needed
         }
 
+        return groups;
+    }
+
+    // Directory the tutorials of a version live in
+    function versionRoot(version) {
+        return version.id ? `output/${version.id}` : 'output';
+    }
+
+    // Load the versions and their tutorial directories from the manifest
+    async function loadTutorialManifest() {
+        const response = await fetch(TUTORIAL_MANIFEST);
+        if (!response.ok) {
+            throw new Error(`Could not load the tutorial manifest (${TUTORIAL_MANIFEST})`);
+        }
+
+        const manifest = await response.json();
+        if (manifest && Array.isArray(manifest.versions) && manifest.versions.length > 0) {
+            return manifest.versions.map(version => {
+                if (!version.id || !Array.isArray(version.tutorials)) {
+                    throw new Error(`Every version in the tutorial manifest (${TUTORIAL_MANIFEST}) needs an "id" and a "tutorials" list`);
+                }
+                return { id: String(version.id), label: version.label || String(version.id), tutorials: version.tutorials };
+            });
+        }
+        if (!manifest || !Array.isArray(manifest.tutorials)) {
+            throw new Error(`The tutorial manifest (${TUTORIAL_MANIFEST}) has no "tutorials" list`);
+        }
+
+        return [{ id: null, label: null, tutorials: manifest.tutorials }];
+    }
+
+    // The chapter of groups (of another version) that is the same as chapter:
+    // the same file of its tutorial, else the same title, else the same number
+    function findMatchingChapter(groups, chapter) {
+        const candidates = Object.values(groups).flat().filter(other => other.dir === chapter.dir);
+        return candidates.find(other => other.file === chapter.file) ||
+            candidates.find(other => other.name === chapter.name) ||
+            candidates.find(other => other.id === chapter.id) ||
+            null;
+    }
+
+    function findVersion(versionId) {
+        return versions.find(version => version.id === versionId) || null;
+    }
+
+    function isLatestVersion() {
+        return currentVersion === versions[0];
+    }
+
+    // Use a friendly name for display (remove 'sw.' prefix if present)
+    function formatDirectoryName(dir) {
+        return dir.startsWith('sw.') ?
+            dir.substring(3).charAt(0).toUpperCase() + dir.substring(3).slice(1) :
+            dir;
+    }
+
+    // Extract the tutorial name from the "# Tutorial: Storefront" heading
+    function parseTutorialTitle(indexMarkdown) {
+        const match = indexMarkdown.match(/^#\s+Tutorial:\s*(.+?)\s*$/m);
+        return match ? match[1] : null;
+    }
+
+    // The numbered "## Chapters" list of an index.md (see content-format.js)
+    function parseChapterList(indexMarkdown) {
+        return TutorialContentFormat.parseChapterList(indexMarkdown) || [];
+    }
+
+    // Function to build the chapter list of a directory from its index.md.
+    // Chapter ids leave out the version, but chapters may be renumbered from
+    // one version to the next: findMatchingChapter() finds a chapter in
+    // another version by its dir, file and name (the title without number).
+    function scanChapterFiles(root, dir, indexMarkdown) {
+        const chapters = [];
+
+        // First, add the index file
+        chapters.push({
+            id: `${dir.toLowerCase()}-index`,
+            title: 'Tutorial Overview',
+            path: `${root}/${dir}/index.md`,
+            dir,
+            file: 'index.md',
+            name: 'Tutorial Overview'
+        });
+
+        const entries = parseChapterList(indexMarkdown);
+        if (entries.length === 0) {
+            console.warn(`No "## Chapters" list found in ${root}/${dir}/index.md`);
+        }
+
+        // Whether the chapters exist is only found out when they are loaded
+        entries.forEach(chapter => {
+            chapters.push({
+                id: `${dir.toLowerCase()}-ch${chapter.num}`,
+                title: `${chapter.num}. ${chapter.title}`,
+                path: `${root}/${dir}/${chapter.file}`,
+                dir,
+                file: chapter.file,
+                name: chapter.title
+            });
+        });
+
         // Sort chapters by their number
         chapters.sort((a, b) => {
             // Extract chapter numbers (index is always first)
@@ -169,264 +564,3195 @@ document.addEventListener('DOMContentLoaded', function () {
         return name.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
     }
 
-    // Function to populate the sidebar with tutorial groups and chapter links
+    // Function to populate the sidebar with tutorial groups and chapter links.
+    // The list is a WAI-ARIA tree: groups are tree items that expand and
+    // collapse, chapters are the tree items inside them (see setupSidebarTree).
     function populateSidebar() {
         const chapterList = document.getElementById('chapter-list');
         chapterList.innerHTML = ''; // Clear existing content
 
+        // Groups the reader opened stay open on the next visit
+        const expandedGroups = new Set(readStorage(SIDEBAR_STORAGE_KEY, []));
+
         // Create tutorial group sections
-        Object.keys(tutorialGroups).forEach(groupName => {
+        Object.keys(tutorialGroups).forEach((groupName, groupIndex) => {
             // Create group header with toggle functionality
             const groupHeader = document.createElement('li');
             groupHeader.className = 'tutorial-group-header';
+            groupHeader.dataset.group = groupName;
+            groupHeader.setAttribute('role', 'treeitem');
+            groupHeader.setAttribute('aria-labelledby', `tutorial-group-${groupIndex}`);
+            groupHeader.tabIndex = -1;
 
-            // Create the header with a toggle icon
+            // Create the header with a toggle icon. Heading ids skip the
+            // group ids, see RESERVED_ID_PATTERNS in content-format.js.
             groupHeader.innerHTML = `
                 <div class="group-header-toggle">
-                    <span class="toggle-icon">►</span>
-                    <h3>${groupName}</h3>
+                    <span class="toggle-icon" aria-hidden="true"></span>
+                    <h3 id="tutorial-group-${groupIndex}">${escapeHtml(groupName)}</h3>
                 </div>
             `;
-            chapterList.appendChild(groupHeader);
 
             // Create group chapters list
             const groupList = document.createElement('ul');
-            groupList.className = 'tutorial-group-chapters collapsed'; // Add collapsed class by default
+            groupList.className = 'tutorial-group-chapters';
+            groupList.setAttribute('role', 'group');
+
+            // Add chapters to the group
+            tutorialGroups[groupName].forEach(chapter => {
+                const li = document.createElement('li');
+                li.setAttribute('role', 'none');
+                const a = document.createElement('a');
+                a.href = '#' + chapter.id;
+                a.textContent = chapter.title;
+                a.dataset.path = chapter.path;
+                a.setAttribute('role', 'treeitem');
+                a.tabIndex = -1;
+                a.addEventListener('click', function (e) {
+                    e.preventDefault();
+                    navigate({ chapterId: chapter.id });
+                });
+                li.appendChild(a);
+                groupList.appendChild(li);
+            });
+
+            groupHeader.appendChild(groupList);
+            chapterList.appendChild(groupHeader);
+            setGroupExpanded(groupHeader, expandedGroups.has(groupName));
+
+            // Add toggle functionality
+            groupHeader.querySelector('.group-header-toggle').addEventListener('click', () => {
+                toggleGroup(groupHeader, groupHeader.getAttribute('aria-expanded') !== 'true');
+            });
+        });
+
+        // One tree item is in the tab order, the arrow keys move between them
+        const firstGroup = chapterList.querySelector('[role="treeitem"]');
+        if (firstGroup) firstGroup.tabIndex = 0;
+
+        updateReadMarkers();
+    }
+
+    function setGroupExpanded(groupHeader, expanded) {
+        groupHeader.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        groupHeader.querySelector('.tutorial-group-chapters').classList.toggle('collapsed', !expanded);
+        groupHeader.querySelector('.toggle-icon').textContent = expanded ? '▼' : '►';
+    }
+
+    // Expand or collapse a group on behalf of the reader, remembered for the next visit
+    function toggleGroup(groupHeader, expanded) {
+        setGroupExpanded(groupHeader, expanded);
+
+        const expandedGroups = Array.from(document.querySelectorAll('#chapter-list .tutorial-group-header[aria-expanded="true"]'))
+            .map(item => item.dataset.group);
+        writeStorage(SIDEBAR_STORAGE_KEY, expandedGroups);
+    }
+
+    // Tree items the arrow keys move between: groups and the chapters of expanded groups
+    function visibleTreeItems() {
+        return Array.from(document.querySelectorAll('#chapter-list [role="treeitem"]'))
+            .filter(item => !item.closest('.tutorial-group-chapters.collapsed'));
+    }
+
+    // Move the tree's single tab stop to an item, and the focus too unless only tabbable is wanted
+    function setTreeFocus(item, focus = true) {
+        if (!item) return;
+        document.querySelectorAll('#chapter-list [role="treeitem"]').forEach(other => {
+            other.tabIndex = other === item ? 0 : -1;
+        });
+        if (focus) item.focus();
+    }
+
+    // Keyboard support of the sidebar tree, following the WAI-ARIA tree view
+    // pattern: Up/Down move, Right expands or enters a group, Left collapses
+    // or goes to the group, Home/End jump, Enter/Space open or toggle
+    function setupSidebarTree() {
+        const tree = document.getElementById('chapter-list');
+
+        tree.addEventListener('keydown', function (e) {
+            const item = e.target.closest('[role="treeitem"]');
+            if (!item || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const items = visibleTreeItems();
+            const index = items.indexOf(item);
+            const isGroup = item.classList.contains('tutorial-group-header');
+            const isExpanded = isGroup && item.getAttribute('aria-expanded') === 'true';
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    setTreeFocus(items[index + 1]);
+                    break;
+                case 'ArrowUp':
+                    setTreeFocus(items[index - 1]);
+                    break;
+                case 'Home':
+                    setTreeFocus(items[0]);
+                    break;
+                case 'End':
+                    setTreeFocus(items[items.length - 1]);
+                    break;
+                case 'ArrowRight':
+                    if (isGroup && !isExpanded) {
+                        toggleGroup(item, true);
+                    } else if (isGroup) {
+                        setTreeFocus(items[index + 1]);
+                    }
+                    break;
+                case 'ArrowLeft':
+                    if (isExpanded) {
+                        toggleGroup(item, false);
+                    } else if (!isGroup) {
+                        setTreeFocus(item.closest('.tutorial-group-header'));
+                    }
+                    break;
+                case 'Enter':
+                case ' ':
+                    if (isGroup) {
+                        toggleGroup(item, !isExpanded);
+                    } else {
+                        item.click();
+                    }
+                    break;
+                default:
+                    return;
+            }
+
+            // The arrow keys also switch chapters outside the sidebar (setupChapterKeys)
+            e.preventDefault();
+            e.stopPropagation();
+        });
+
+        // Clicking an item makes it the tab stop
+        tree.addEventListener('focusin', function (e) {
+            const item = e.target.closest('[role="treeitem"]');
+            if (item) setTreeFocus(item, false);
+        });
+    }
+
+    // On narrow screens the sidebar is a drawer, opened from the header
+    const narrowScreenQuery = window.matchMedia ? window.matchMedia('(max-width: 768px)') : null;
+
+    function isSidebarDrawerOpen() {
+        return document.getElementById('sidebar').classList.contains('is-open');
+    }
+
+    function openSidebarDrawer() {
+        const sidebar = document.getElementById('sidebar');
+        sidebar.classList.add('is-open');
+        document.getElementById('sidebar-toggle').setAttribute('aria-expanded', 'true');
+        document.getElementById('sidebar-backdrop').hidden = false;
+        document.querySelector('main').inert = true;
+
+        const current = sidebar.querySelector('#chapter-list [role="treeitem"][tabindex="0"]') || sidebar.querySelector('#search-input');
+        current.focus();
+    }
+
+    // restoreFocus puts the focus back on the toggle button, a navigation
+    // moves it to the new content instead
+    function closeSidebarDrawer(restoreFocus) {
+        if (!isSidebarDrawerOpen()) return;
+
+        document.getElementById('sidebar').classList.remove('is-open');
+        const toggle = document.getElementById('sidebar-toggle');
+        toggle.setAttribute('aria-expanded', 'false');
+        document.getElementById('sidebar-backdrop').hidden = true;
+        document.querySelector('main').inert = false;
+        if (restoreFocus) toggle.focus();
+    }
+
+    function setupSidebarDrawer() {
+        document.getElementById('sidebar-toggle').addEventListener('click', () => {
+            if (isSidebarDrawerOpen()) {
+                closeSidebarDrawer(true);
+            } else {
+                openSidebarDrawer();
+            }
+        });
+        document.getElementById('sidebar-backdrop').addEventListener('click', () => closeSidebarDrawer(true));
+        document.addEventListener('keydown', e => {
+            if (e.key === 'Escape' && isSidebarDrawerOpen()) closeSidebarDrawer(true);
+        });
+
+        // The drawer is part of the page again on wider screens
+        if (narrowScreenQuery) {
+            narrowScreenQuery.addEventListener('change', () => closeSidebarDrawer(false));
+        }
+    }
+
+    // Status messages for screen readers (loading, search results), read
+    // out by the live region without moving the focus
+    function announce(message) {
+        const region = document.getElementById('live-status');
+        // Clearing first makes a repeated message be read again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    // Set once the reader navigates: the first view after loading the page
+    // leaves the focus where the browser put it
+    let hasNavigated = false;
+
+    // After a navigation the focus moves to the heading of the new content,
+    // so keyboard and screen reader users continue reading from there
+    function focusContentHeading(contentDiv) {
+        if (!hasNavigated) return;
+
+        const heading = contentDiv.querySelector('h1, h2');
+        if (!heading) return;
+        heading.tabIndex = -1;
+        heading.focus({ preventScroll: true });
+    }
+
+    // Reading progress is kept in localStorage: the expanded sidebar groups
+    // and, per chapter id, { scroll, read, viewedAt } with the scroll position
+    // as a fraction of the chapter, whether it was read to the end and when
+    // it was last opened
+    const SIDEBAR_STORAGE_KEY = 'tutorial-sidebar';
+    const HISTORY_STORAGE_KEY = 'tutorial-history';
+    const HISTORY_SAVE_DELAY = 500;
+    const READ_THRESHOLD = 0.9; // a chapter scrolled this far counts as read
+    const RECENTLY_VIEWED_LIMIT = 5;
+
+    const readingHistory = readStorage(HISTORY_STORAGE_KEY, {});
+    let historySaveTimer = null;
+
+    // Chapter whose progress scrolling records, set once it is rendered and
+    // at its reading position, and the scroll position the viewer put it at:
+    // a chapter only counts as read once the reader scrolls away from there
+    let progressChapterId = null;
+    let viewScrollY = 0;
+
+    // Storage can be disabled or full, reading progress is a convenience
+    function readStorage(key, fallback) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            // Keep the progress of this visit in memory
+        }
+    }
+
+    function historyEntry(chapterId) {
+        if (!readingHistory[chapterId]) {
+            readingHistory[chapterId] = { scroll: 0, read: false, viewedAt: 0 };
+        }
+        return readingHistory[chapterId];
+    }
+
+    // Scrolling changes the history many times a second, write it once it settles
+    function saveReadingHistory() {
+        clearTimeout(historySaveTimer);
+        historySaveTimer = setTimeout(() => writeStorage(HISTORY_STORAGE_KEY, readingHistory), HISTORY_SAVE_DELAY);
+    }
+
+    // How far the page is scrolled, 0 at the top and 1 at the end
+    function scrollFraction() {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        return scrollable > 0 ? Math.min(1, window.scrollY / scrollable) : 1;
+    }
+
+    // Remember the scroll position of the chapter that is shown and mark it
+    // read once the reader scrolls near its end (chapters that cannot be
+    // scrolled are marked by restoreReadingPosition())
+    function recordReadingProgress() {
+        const route = parseRoute(window.location.hash);
+        if (!route.chapterId || route.query || route.compare || route.chapterId !== progressChapterId) return;
+
+        const entry = historyEntry(route.chapterId);
+        entry.scroll = scrollFraction();
+        if (entry.scroll >= READ_THRESHOLD && window.scrollY !== viewScrollY && !entry.read) {
+            entry.read = true;
+            updateReadMarkers();
+        }
+        saveReadingHistory();
+    }
+
+    // A chapter was opened: note the time. Its progress is recorded again
+    // once restoreReadingPosition() has run.
+    function recordChapterView(chapterId) {
+        historyEntry(chapterId).viewedAt = Date.now();
+        progressChapterId = null;
+        saveReadingHistory();
+    }
+
+    // The chapter is completely rendered, diagrams included: go back to where
+    // the reader left it (with restoreScroll) and record its progress from here.
+    // A chapter that fits on the screen cannot be scrolled, it is read once shown.
+    function restoreReadingPosition(chapterId, restoreScroll) {
+        const entry = historyEntry(chapterId);
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        if (restoreScroll) {
+            window.scrollTo(0, entry.read ? 0 : Math.round(entry.scroll * Math.max(0, scrollable)));
+        }
+
+        progressChapterId = chapterId;
+        viewScrollY = window.scrollY;
+
+        if (scrollable <= 0 && !entry.read) {
+            entry.read = true;
+            updateReadMarkers();
+            saveReadingHistory();
+        }
+    }
+
+    // Check marks for read chapters in the sidebar
+    function updateReadMarkers() {
+        document.querySelectorAll('#chapter-list a').forEach(link => {
+            const entry = readingHistory[link.getAttribute('href').substring(1)];
+            link.classList.toggle('is-read', Boolean(entry && entry.read));
+        });
+    }
+
+    // Chapters of the history that still exist, most recently viewed first
+    function recentlyViewedChapters() {
+        return Object.keys(readingHistory)
+            .filter(chapterId => readingHistory[chapterId].viewedAt && findChapterById(chapterId))
+            .sort((a, b) => readingHistory[b].viewedAt - readingHistory[a].viewedAt)
+            .map(chapterId => findChapterById(chapterId));
+    }
+
+    // Where to continue: the last chapter viewed, or the one after it when
+    // that was read to the end
+    function findContinueChapter(recent) {
+        const last = recent[0];
+        if (!last || !readingHistory[last.id].read) return last || null;
+
+        const position = findChapterPosition(last.id);
+        const next = position.chapters[position.index + 1];
+        return next && !(readingHistory[next.id] && readingHistory[next.id].read) ? next : null;
+    }
+
+    // Landing view for returning readers: continue reading, recently viewed
+    // chapters and the list of tutorials. Returns false for new readers.
+    function showLanding() {
+        const recent = recentlyViewedChapters();
+        if (recent.length === 0) return false;
+
+        const continueChapter = findContinueChapter(recent);
+        const chapterLink = chapter => {
+            const entry = readingHistory[chapter.id];
+            const status = entry && entry.read ? 'Read' :
+                entry && entry.viewedAt ? `${Math.round(entry.scroll * 100)}% read` : 'Not started';
+            return `
+                <a href="#${escapeHtml(chapter.id)}">${escapeHtml(chapter.title)}</a>
+                <span class="landing-meta">${escapeHtml(findChapterPosition(chapter.id).groupName)} · ${status}</span>
+            `;
+        };
+
+        clearTableOfContents();
+        const contentDiv = document.getElementById('markdown-content');
+        contentDiv.innerHTML = `
+            <div class="landing">
+                ${continueChapter ? `
+                    <section class="landing-continue">
+                        <h2>Continue reading</h2>
+                        ${chapterLink(continueChapter)}
+                    </section>
+                ` : ''}
+                <section>
+                    <h2>Recently viewed</h2>
+                    <ul class="landing-list">
+                        ${recent.slice(0, RECENTLY_VIEWED_LIMIT).map(chapter => `<li>${chapterLink(chapter)}</li>`).join('')}
+                    </ul>
+                </section>
+                <section>
+                    <h2>All tutorials</h2>
+                    <ul class="landing-list">
+                        ${Object.keys(tutorialGroups).map(groupName => {
+                            const chapters = tutorialGroups[groupName];
+                            const readCount = chapters.filter(ch => readingHistory[ch.id] && readingHistory[ch.id].read).length;
+                            return `
+                                <li>
+                                    <a href="#${escapeHtml(chapters[0].id)}">${escapeHtml(groupName)}</a>
+                                    <span class="landing-meta">${readCount} of ${chapters.length} read</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                </section>
+            </div>
+        `;
+
+        contentDiv.querySelectorAll('.landing a').forEach(link => {
+            link.addEventListener('click', function (e) {
+                e.preventDefault();
+                navigate({ chapterId: this.getAttribute('href').substring(1) });
+            });
+        });
+        return true;
+    }
+
+    // Bookmarks and notes of the reader, kept in localStorage as a list of
+    // { id, type, chapterId, chapterTitle, sectionId, sectionTitle, quote, text, createdAt, updatedAt }.
+    // type is 'bookmark' or 'note'. A note belongs to a section or, with a
+    // quote { exact, prefix, suffix }, to a passage of it. Both are found
+    // again by heading slug and quoted text, so they survive a regeneration
+    // of the chapter as long as the heading or the passage still exists.
+    const ANNOTATIONS_STORAGE_KEY = 'tutorial-annotations';
+    const ANNOTATIONS_FILE_FORMAT = 'tutorial-annotations';
+    const QUOTE_CONTEXT_LENGTH = 32; // characters of prefix and suffix kept with a quote
+    const MAX_QUOTE_LENGTH = 500;
+    const ANNOTATION_ID_PATTERN = /^[a-z0-9]+$/; // what createAnnotationId() generates
+
+    let annotations = readStorage(ANNOTATIONS_STORAGE_KEY, []);
+    if (!Array.isArray(annotations)) annotations = [];
+
+    function saveAnnotations() {
+        writeStorage(ANNOTATIONS_STORAGE_KEY, annotations);
+        renderAnnotationsPanel();
+    }
+
+    function createAnnotationId() {
+        return Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+    }
+
+    // Annotations of the chapter title belong to the whole chapter (section id '')
+    function annotationSectionId(heading) {
+        return heading && heading.tagName !== 'H1' ? heading.id : '';
+    }
+
+    function findBookmark(chapterId, sectionId) {
+        return annotations.find(annotation => annotation.type === 'bookmark' &&
+            annotation.chapterId === chapterId && annotation.sectionId === sectionId);
+    }
+
+    // The heading a saved section id points to. A renamed heading is found by
+    // its old title, a heading that is gone by the quoted passage instead.
+    function findAnnotationHeading(contentDiv, annotation) {
+        if (!annotation.sectionId) return contentDiv.querySelector('h1');
+
+        const headings = Array.from(contentDiv.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'));
+        return headings.find(heading => heading.id === annotation.sectionId) ||
+            headings.find(heading => heading.textContent.trim() === annotation.sectionTitle) ||
+            null;
+    }
+
+    // Offset in the rendered text where an element starts
+    function renderedTextOffset(rendered, element) {
+        const entry = rendered.nodes.find(({ node }) => element.contains(node) ||
+            (element.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING));
+        return entry ? entry.start : rendered.text.length;
+    }
+
+    // Range of the rendered text from a heading to the next heading of the same or a higher level
+    function sectionTextRange(contentDiv, rendered, heading) {
+        const headings = Array.from(contentDiv.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        const level = Number(heading.tagName.substring(1));
+        const next = headings.slice(headings.indexOf(heading) + 1)
+            .find(other => Number(other.tagName.substring(1)) <= level);
+        return [renderedTextOffset(rendered, heading), next ? renderedTextOffset(rendered, next) : rendered.text.length];
+    }
+
+    // Number of characters two strings share at their end (or start)
+    function sharedLength(a, b, fromEnd) {
+        let length = 0;
+        while (length < a.length && length < b.length) {
+            const charA = fromEnd ? a[a.length - 1 - length] : a[length];
+            const charB = fromEnd ? b[b.length - 1 - length] : b[length];
+            if (charA !== charB) break;
+            length++;
+        }
+        return length;
+    }
+
+    // Where a quote is in the rendered text: the occurrence within the range
+    // whose surrounding text matches the saved prefix and suffix best
+    function findQuote(rendered, quote, range) {
+        let best = null;
+        let bestScore = -1;
+        let index = rendered.text.indexOf(quote.exact, range[0]);
+
+        while (index !== -1 && index + quote.exact.length <= range[1]) {
+            const end = index + quote.exact.length;
+            const score = sharedLength(rendered.text.substring(Math.max(0, index - quote.prefix.length), index), quote.prefix, true) +
+                sharedLength(rendered.text.substring(end, end + quote.suffix.length), quote.suffix, false);
+            if (score > bestScore) {
+                best = { start: index, end };
+                bestScore = score;
+            }
+            index = rendered.text.indexOf(quote.exact, index + 1);
+        }
+
+        return best;
+    }
+
+    // The top-level block of the chapter an element is in, notes are shown after it
+    function contentBlockOf(contentDiv, element) {
+        let block = element;
+        while (block.parentElement && block.parentElement !== contentDiv) {
+            block = block.parentElement;
+        }
+        return block;
+    }
+
+    // Show the bookmarks and notes of a chapter: bookmark and note buttons on
+    // every heading, quoted passages highlighted and the notes after the
+    // section heading or the passage they belong to
+    function showAnnotations(contentDiv, chapterId) {
+        if (!chapterId) return;
+
+        const chapter = findChapterById(chapterId);
+
+        contentDiv.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+            const bookmarkButton = document.createElement('button');
+            bookmarkButton.type = 'button';
+            bookmarkButton.className = 'heading-bookmark viewer-ui';
+            bookmarkButton.setAttribute('aria-label', 'Bookmark this section');
+            const updateBookmarkButton = () => {
+                const bookmarked = Boolean(findBookmark(chapterId, annotationSectionId(heading)));
+                bookmarkButton.setAttribute('aria-pressed', bookmarked ? 'true' : 'false');
+                heading.classList.toggle('is-bookmarked', bookmarked);
+            };
+            updateBookmarkButton();
+            bookmarkButton.addEventListener('click', () => {
+                const bookmark = findBookmark(chapterId, annotationSectionId(heading));
+                if (bookmark) {
+                    annotations = annotations.filter(annotation => annotation !== bookmark);
+                } else {
+                    annotations.push(createAnnotation('bookmark', chapter, heading, null, ''));
+                }
+                saveAnnotations();
+                updateBookmarkButton();
+            });
+
+            const noteButton = document.createElement('button');
+            noteButton.type = 'button';
+            noteButton.className = 'heading-note viewer-ui';
+            noteButton.setAttribute('aria-label', 'Add a note to this section');
+            noteButton.addEventListener('click', () => openNoteEditor(contentDiv, heading, chapter, heading, null));
+
+            heading.appendChild(bookmarkButton);
+            heading.appendChild(noteButton);
+        });
+
+        const notes = annotations.filter(annotation => annotation.type === 'note' && annotation.chapterId === chapterId);
+        if (notes.length === 0) return;
+
+        const rendered = extractRenderedText(contentDiv);
+        const placed = notes.map(note => {
+            const heading = findAnnotationHeading(contentDiv, note);
+            if (!note.quote) return { note, after: heading, found: Boolean(heading) };
+
+            // The passage is looked for in its section first, then in the whole chapter
+            const position = (heading && findQuote(rendered, note.quote, sectionTextRange(contentDiv, rendered, heading))) ||
+                findQuote(rendered, note.quote, [0, rendered.text.length]);
+            return { note, position, after: heading, found: Boolean(position) };
+        });
+
+        // Wrapping splits the text nodes behind a passage, so passages are wrapped from the last one
+        placed.filter(entry => entry.position)
+            .sort((a, b) => b.position.start - a.position.start)
+            .forEach(entry => {
+                entry.marks = wrapRenderedText(rendered.nodes, entry.position.start, entry.position.end, 'annotation-highlight');
+                entry.marks.forEach(mark => {
+                    mark.dataset.annotation = entry.note.id;
+                    mark.title = entry.note.text;
+                });
+                entry.after = entry.marks[0];
+            });
+
+        // Notes that lost their place are shown below the chapter title. Each
+        // card goes right after its block, so the last note is inserted first.
+        const title = contentDiv.querySelector('h1');
+        placed.reverse().forEach(({ note, after, found }) => {
+            const card = createNoteCard(note, chapter, found);
+            if (after || title) {
+                contentBlockOf(contentDiv, after || title).insertAdjacentElement('afterend', card);
+            } else {
+                contentDiv.prepend(card);
+            }
+        });
+    }
+
+    function createAnnotation(type, chapter, heading, quote, text) {
+        const now = Date.now();
+        return {
+            id: createAnnotationId(),
+            type,
+            chapterId: chapter.id,
+            chapterTitle: chapter.title,
+            sectionId: annotationSectionId(heading),
+            sectionTitle: annotationSectionId(heading) ? heading.textContent.trim() : '',
+            quote,
+            text,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    // The highlighted passage of a note
+    function annotationMarks(note) {
+        return Array.from(document.querySelectorAll('.annotation-highlight'))
+            .filter(mark => mark.dataset.annotation === note.id);
+    }
+
+    // A saved note. found is false when its section or passage is no longer in the chapter.
+    function createNoteCard(note, chapter, found) {
+        const card = document.createElement('aside');
+        card.className = `annotation-note viewer-ui${found ? '' : ' is-detached'}`;
+        card.id = `annotation-${note.id}`; // a reserved id, see content-format.js
+        card.setAttribute('aria-label', 'Note');
+        card.innerHTML = `
+            ${found ? '' : `<p class="annotation-detached">${note.quote ? 'The quoted passage' : 'The section'} of this note is no longer in the chapter.</p>`}
+            ${note.quote ? `<blockquote class="annotation-quote">${escapeHtml(note.quote.exact)}</blockquote>` : ''}
+            <p class="annotation-text">${escapeHtml(note.text)}</p>
+            <div class="annotation-actions">
+                <button type="button" class="annotation-edit">Edit</button>
+                <button type="button" class="annotation-delete">Delete</button>
+            </div>
+        `;
+
+        card.querySelector('.annotation-edit').addEventListener('click', () => {
+            showNoteForm(card, note.text, text => {
+                note.text = text;
+                note.updatedAt = Date.now();
+                saveAnnotations();
+                card.replaceWith(createNoteCard(note, chapter, found));
+                annotationMarks(note).forEach(mark => {
+                    mark.title = text;
+                });
+            }, () => card.replaceWith(createNoteCard(note, chapter, found)));
+        });
+
+        card.querySelector('.annotation-delete').addEventListener('click', () => {
+            annotations = annotations.filter(annotation => annotation.id !== note.id);
+            saveAnnotations();
+            annotationMarks(note).forEach(mark => {
+                mark.replaceWith(...mark.childNodes);
+            });
+            card.remove();
+            announce('Note deleted');
+        });
+
+        return card;
+    }
+
+    // Replace the content of a note card with a text field to write the note
+    function showNoteForm(card, text, onSave, onCancel) {
+        card.innerHTML = `
+            ${card.querySelector('.annotation-quote') ? card.querySelector('.annotation-quote').outerHTML : ''}
+            <form class="annotation-form">
+                <textarea rows="3" aria-label="Note"></textarea>
+                <div class="annotation-actions">
+                    <button type="submit">Save</button>
+                    <button type="button" class="annotation-cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+
+        const form = card.querySelector('form');
+        const textarea = form.querySelector('textarea');
+        textarea.value = text;
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            if (textarea.value.trim()) onSave(textarea.value.trim());
+        });
+        form.querySelector('.annotation-cancel').addEventListener('click', onCancel);
+        textarea.addEventListener('keydown', e => {
+            if (e.key === 'Escape') onCancel();
+        });
+        textarea.focus();
+    }
+
+    // Write a new note for a section (quote null) or a selected passage,
+    // shown after the element it belongs to
+    function openNoteEditor(contentDiv, after, chapter, heading, quote) {
+        const draft = createAnnotation('note', chapter, heading, quote, '');
+        const card = document.createElement('aside');
+        card.className = 'annotation-note viewer-ui';
+        card.setAttribute('aria-label', 'New note');
+        if (quote) {
+            card.innerHTML = `<blockquote class="annotation-quote">${escapeHtml(quote.exact)}</blockquote>`;
+        }
+        contentBlockOf(contentDiv, after).insertAdjacentElement('afterend', card);
+
+        showNoteForm(card, '', text => {
+            draft.text = text;
+            annotations.push(draft);
+            saveAnnotations();
+
+            // Render the chapter's notes again, that also highlights the passage
+            const route = parseRoute(window.location.hash);
+            contentDiv.querySelectorAll('.annotation-note').forEach(note => note.remove());
+            contentDiv.querySelectorAll('.annotation-highlight').forEach(mark => mark.replaceWith(...mark.childNodes));
+            contentDiv.querySelectorAll('.heading-bookmark, .heading-note').forEach(button => button.remove());
+            contentDiv.normalize();
+            showAnnotations(contentDiv, chapter.id);
+            if (!route.query) {
+                const saved = document.getElementById(`annotation-${draft.id}`);
+                if (saved) saved.querySelector('.annotation-edit').focus();
+            }
+            announce('Note saved');
+        }, () => card.remove());
+    }
+
+    // "Add note" button next to text selected in a chapter
+    function setupSelectionNotes() {
+        const button = document.getElementById('selection-note');
+        const contentDiv = document.getElementById('markdown-content');
+        let selected = null;
+
+        const update = () => {
+            selected = null;
+            const selection = window.getSelection();
+            const route = parseRoute(window.location.hash);
+            const chapter = findChapterById(route.chapterId);
+
+            if (chapter && !route.compare && selection.rangeCount > 0 && !selection.isCollapsed) {
+                const range = selection.getRangeAt(0);
+                const container = range.commonAncestorContainer;
+                const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+                if (contentDiv.contains(element) && !element.closest('.viewer-ui, .mermaid-diagram')) {
+                    selected = { chapter, range };
+                }
+            }
+
+            button.hidden = !selected;
+            if (selected) {
+                const rect = selected.range.getBoundingClientRect();
+                button.style.top = `${window.scrollY + rect.bottom + 6}px`;
+                button.style.left = `${window.scrollX + rect.left}px`;
+            }
+        };
+
+        document.addEventListener('selectionchange', () => requestAnimationFrame(update));
+
+        // Keep the selection while the button is pressed
+        button.addEventListener('mousedown', e => e.preventDefault());
+        button.addEventListener('click', () => {
+            if (!selected) return;
+
+            const quote = quoteOfRange(contentDiv, selected.range);
+            if (!quote) return;
+
+            const headings = Array.from(contentDiv.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'));
+            const heading = headings.filter(h => h.compareDocumentPosition(selected.range.startContainer) & Node.DOCUMENT_POSITION_FOLLOWING).pop() || null;
+
+            const after = selected.range.endContainer.nodeType === Node.ELEMENT_NODE ?
+                selected.range.endContainer : selected.range.endContainer.parentElement;
+            openNoteEditor(contentDiv, after, selected.chapter, heading, quote);
+            window.getSelection().removeAllRanges();
+        });
+    }
+
+    // Offset in the rendered text of a range boundary
+    function boundaryOffset(rendered, container, offset) {
+        if (container.nodeType === Node.TEXT_NODE) {
+            const entry = rendered.nodes.find(({ node }) => node === container);
+            if (entry) return entry.start + offset;
+        }
+        const boundary = container.nodeType === Node.TEXT_NODE ? container : container.childNodes[offset];
+        if (!boundary) {
+            const entry = rendered.nodes.find(({ node }) => !container.contains(node) &&
+                (container.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING));
+            return entry ? entry.start : rendered.text.length;
+        }
+        return renderedTextOffset(rendered, boundary);
+    }
+
+    // The selected text as a quote with some text before and after it, so
+    // the same passage can be told apart from repetitions of its words
+    function quoteOfRange(contentDiv, range) {
+        const rendered = extractRenderedText(contentDiv);
+        let start = boundaryOffset(rendered, range.startContainer, range.startOffset);
+        let end = boundaryOffset(rendered, range.endContainer, range.endOffset);
+
+        while (start < end && /\s/.test(rendered.text[start])) start++;
+        while (end > start && /\s/.test(rendered.text[end - 1])) end--;
+        if (start >= end) return null;
+        end = Math.min(end, start + MAX_QUOTE_LENGTH);
+
+        return {
+            exact: rendered.text.substring(start, end),
+            prefix: rendered.text.substring(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+            suffix: rendered.text.substring(end, end + QUOTE_CONTEXT_LENGTH)
+        };
+    }
+
+    // Sidebar panel with all bookmarks and notes, in sidebar order
+    function renderAnnotationsPanel() {
+        const list = document.getElementById('annotations-list');
+        document.querySelector('#annotations-panel .annotations-count').textContent = annotations.length ? `(${annotations.length})` : '';
+
+        if (annotations.length === 0) {
+            list.innerHTML = '<li class="annotations-empty">Bookmark a heading or select text in a chapter to add a note.</li>';
+            return;
+        }
+
+        const chapterOrder = Object.values(tutorialGroups).flat().map(chapter => chapter.id);
+        const orderOf = annotation => {
+            const index = chapterOrder.indexOf(annotation.chapterId);
+            return index === -1 ? chapterOrder.length : index;
+        };
+        const sorted = annotations.slice().sort((a, b) => orderOf(a) - orderOf(b) || a.createdAt - b.createdAt);
+
+        list.innerHTML = sorted.map(annotation => {
+            const chapter = findChapterById(annotation.chapterId);
+            const chapterTitle = chapter ? chapter.title : annotation.chapterTitle;
+            const title = annotation.sectionTitle ? `${chapterTitle} › ${annotation.sectionTitle}` : chapterTitle;
+            const route = formatRoute({ chapterId: annotation.chapterId, sectionId: annotation.sectionId || null });
+            return `
+                <li class="annotation-item annotation-${annotation.type}">
+                    <a href="${escapeHtml(route)}" data-chapter="${escapeHtml(annotation.chapterId)}" data-section="${escapeHtml(annotation.sectionId)}" data-annotation="${escapeHtml(annotation.id)}">
+                        <span class="annotation-kind">${annotation.type === 'bookmark' ? 'Bookmark' : 'Note'}</span>
+                        ${escapeHtml(title)}
+                    </a>
+                    ${annotation.type === 'note' ? `<span class="annotation-excerpt">${escapeHtml(annotation.text)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('a').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                navigate({ chapterId: link.dataset.chapter, sectionId: link.dataset.section || null });
+            });
+        });
+    }
+
+    // A file other readers can import: { format, version, exportedAt, annotations }
+    function exportAnnotations() {
+        const data = {
+            format: ANNOTATIONS_FILE_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            annotations
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'tutorial-notes.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    function isValidAnnotation(annotation) {
+        const isText = value => typeof value === 'string';
+        return annotation && isText(annotation.id) && ANNOTATION_ID_PATTERN.test(annotation.id) && isText(annotation.chapterId) &&
+            (annotation.type === 'bookmark' || annotation.type === 'note') &&
+            (annotation.sectionId === undefined || isText(annotation.sectionId)) &&
+            (annotation.type === 'bookmark' || isText(annotation.text)) &&
+            (!annotation.quote || (isText(annotation.quote.exact) && isText(annotation.quote.prefix) && isText(annotation.quote.suffix)));
+    }
+
+    // Merge an exported file into the reader's annotations. Entries that are
+    // already there are kept unless the imported one was changed later.
+    // Returns the number of new or updated entries.
+    function importAnnotations(json) {
+        const data = JSON.parse(json);
+        if (!data || data.format !== ANNOTATIONS_FILE_FORMAT || !Array.isArray(data.annotations)) {
+            throw new Error('This is not an exported notes file.');
+        }
+
+        let changed = 0;
+        data.annotations.filter(isValidAnnotation).forEach(imported => {
+            const annotation = {
+                id: imported.id,
+                type: imported.type,
+                chapterId: imported.chapterId,
+                chapterTitle: String(imported.chapterTitle || imported.chapterId),
+                sectionId: imported.sectionId || '',
+                sectionTitle: String(imported.sectionTitle || ''),
+                quote: imported.quote ? { exact: imported.quote.exact, prefix: imported.quote.prefix, suffix: imported.quote.suffix } : null,
+                text: imported.type === 'note' ? imported.text : '',
+                createdAt: Number(imported.createdAt) || Date.now(),
+                updatedAt: Number(imported.updatedAt) || Date.now()
+            };
+
+            const index = annotations.findIndex(existing => existing.id === annotation.id);
+            if (index === -1) {
+                // One bookmark per section, also across files
+                if (annotation.type === 'bookmark' && findBookmark(annotation.chapterId, annotation.sectionId)) return;
+                annotations.push(annotation);
+                changed++;
+            } else if (annotation.updatedAt > annotations[index].updatedAt) {
+                annotations[index] = annotation;
+                changed++;
+            }
+        });
+
+        saveAnnotations();
+        return changed;
+    }
+
+    function setupAnnotationsPanel() {
+        const status = document.getElementById('annotations-status');
+        const fileInput = document.getElementById('annotations-import-file');
+
+        document.getElementById('annotations-export').addEventListener('click', exportAnnotations);
+        document.getElementById('annotations-import').addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            file.text()
+                .then(json => {
+                    const changed = importAnnotations(json);
+                    status.textContent = `Imported ${changed} bookmark(s) and note(s).`;
+
+                    // Show imported notes of the chapter that is open
+                    const route = parseRoute(window.location.hash);
+                    if (changed > 0 && route.chapterId && !route.query && !route.compare) applyRoute(route);
+                })
+                .catch(error => {
+                    status.textContent = `Import failed: ${error instanceof SyntaxError ? 'the file is not valid JSON.' : error.message}`;
+                });
+        });
+
+        renderAnnotationsPanel();
+        setupSelectionNotes();
+    }
+
+    // Collect the visible text of rendered markdown. Search offsets are
+    // positions in this text, so the search index and the rendered chapter
+    // agree on them. Mermaid sources are skipped, they are replaced by diagrams,
+    // and so are controls the viewer adds to a chapter (marked with .viewer-ui).
+    function extractRenderedText(root) {
+        const nodes = []; // { node, start } for every text node, in document order
+        const headingRanges = [];
+        const codeRanges = [];
+        let text = '';
+        let lastHeading = null;
+
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode()) !== null) {
+            const parent = node.parentElement;
+            if (!parent || parent.closest('.language-mermaid, .mermaid, .viewer-ui')) continue;
+
+            const start = text.length;
+            const end = start + node.nodeValue.length;
+            nodes.push({ node, start });
+            text += node.nodeValue;
+
+            // Consecutive text nodes of the same heading form one range
+            const heading = parent.closest('h1, h2, h3, h4, h5, h6');
+            if (heading) {
+                if (heading === lastHeading) {
+                    headingRanges[headingRanges.length - 1][1] = end;
+                } else {
+                    headingRanges.push([start, end]);
+                }
+            }
+            lastHeading = heading;
+
+            if (parent.closest('code, pre')) {
+                const previous = codeRanges[codeRanges.length - 1];
+                if (previous && previous[1] === start) {
+                    previous[1] = end;
+                } else {
+                    codeRanges.push([start, end]);
+                }
+            }
+        }
+
+        return { text, nodes, headingRanges, codeRanges };
+    }
+
+    // Wrap the text between two offsets of extractRenderedText() in <mark>
+    // elements (one per text node the range spans) and return them.
+    // Ranges must be wrapped from the last to the first, because wrapping
+    // splits the text nodes behind the range.
+    function wrapRenderedText(nodes, start, end, className) {
+        const marks = [];
+
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            const { node, start: nodeStart } = nodes[i];
+            const nodeEnd = nodeStart + node.nodeValue.length;
+            if (nodeEnd <= start || nodeStart >= end) continue;
+
+            const from = Math.max(start, nodeStart) - nodeStart;
+            const to = Math.min(end, nodeEnd) - nodeStart;
+
+            const middle = node.splitText(from);
+            middle.splitText(to - from);
+
+            const mark = document.createElement('mark');
+            mark.className = className;
+            middle.parentNode.replaceChild(mark, middle);
+            mark.appendChild(middle);
+            marks.unshift(mark);
+        }
+
+        return marks;
+    }
+
+    // Mark the sidebar link of a chapter as active and make sure its group is expanded
+    function activateSidebarLink(chapterId) {
+        document.getElementById('concepts-link').classList.remove('active');
+        document.querySelectorAll('#chapter-list a').forEach(sidebarLink => {
+            sidebarLink.classList.remove('active');
+            sidebarLink.removeAttribute('aria-current');
+            if (sidebarLink.getAttribute('href') === `#${chapterId}`) {
+                sidebarLink.classList.add('active');
+                sidebarLink.setAttribute('aria-current', 'page');
+
+                // Ensure parent group is expanded
+                const parentGroup = sidebarLink.closest('.tutorial-group-header');
+                if (parentGroup && parentGroup.getAttribute('aria-expanded') !== 'true') {
+                    setGroupExpanded(parentGroup, true);
+                }
+
+                // Tabbing into the tree lands on the open chapter
+                setTreeFocus(sidebarLink, false);
+            }
+        });
+    }
+
+    // Find the chapter entry for a file path
+    function findChapterByPath(path) {
+        for (const groupName in tutorialGroups) {
+            const chapter = tutorialGroups[groupName].find(ch => ch.path === path);
+            if (chapter) return chapter;
+        }
+        return null;
+    }
+
+    // Turn heading text into a URL-friendly id ("How it Works Internally" -> "how-it-works-internally")
+    const { slugify } = TutorialContentFormat;
+
+    // Give every heading a stable id and a hover anchor link to share the section.
+    // The anchor has no text of its own (the "#" comes from CSS), so the
+    // rendered text used for search offsets stays the same.
+    function addHeadingAnchors(contentDiv, chapterId) {
+        // Same ids as tools/lint-content.js checks links against
+        const headingId = TutorialContentFormat.createHeadingIds();
+
+        contentDiv.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            heading.id = headingId(heading.textContent);
+
+            if (!chapterId) return;
+
+            const anchor = document.createElement('a');
+            anchor.className = 'heading-anchor';
+            anchor.href = `#${chapterId}/${heading.id}`;
+            anchor.setAttribute('aria-label', 'Link to this section');
+            anchor.addEventListener('click', function (e) {
+                e.preventDefault();
+                replaceRoute({ chapterId, sectionId: heading.id });
+                heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+                // Copy the full link so it can be pasted into a chat or ticket
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(window.location.href).then(() => {
+                        anchor.classList.add('copied');
+                        setTimeout(() => anchor.classList.remove('copied'), 1500);
+                    }).catch(() => { });
+                }
+            });
+            heading.appendChild(anchor);
+        });
+    }
+
+    // Headings listed in the "On this page" outline, tracked by the scroll-spy
+    let tocHeadings = [];
+
+    // Build the "On this page" outline from the h2/h3 headings of the chapter
+    function buildTableOfContents(contentDiv, chapterId) {
+        const toc = document.getElementById('page-toc');
+        toc.innerHTML = '';
+        tocHeadings = Array.from(contentDiv.querySelectorAll('h2[id], h3[id]'));
+
+        if (tocHeadings.length === 0) return;
+
+        const title = document.createElement('h2');
+        title.textContent = 'On this page';
+        toc.appendChild(title);
+
+        const list = document.createElement('ul');
+        tocHeadings.forEach(heading => {
+            const li = document.createElement('li');
+            li.className = `toc-${heading.tagName.toLowerCase()}`;
+
+            const a = document.createElement('a');
+            a.href = chapterId ? `#${chapterId}/${heading.id}` : `#${heading.id}`;
+            a.textContent = heading.textContent;
+            a.dataset.target = heading.id;
+            a.addEventListener('click', function (e) {
+                e.preventDefault();
+                if (chapterId) replaceRoute({ chapterId, sectionId: heading.id });
+                heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+
+            li.appendChild(a);
+            list.appendChild(li);
+        });
+        toc.appendChild(list);
+
+        updateScrollSpy();
+    }
+
+    function clearTableOfContents() {
+        document.getElementById('page-toc').innerHTML = '';
+        tocHeadings = [];
+    }
+
+    // Highlight the outline entry of the section currently at the top of the viewport
+    function updateScrollSpy() {
+        if (tocHeadings.length === 0) return;
+
+        const offset = 80; // px below the top edge that still counts as "current"
+        let current = tocHeadings[0];
+        for (const heading of tocHeadings) {
+            if (heading.getBoundingClientRect().top - offset > 0) break;
+            current = heading;
+        }
+
+        document.querySelectorAll('#page-toc a').forEach(a => {
+            a.classList.toggle('active', a.dataset.target === current.id);
+        });
+    }
+
+    // Scroll to a section of the current chapter by its heading id
+    function scrollToSection(sectionId) {
+        const heading = sectionId && document.getElementById(sectionId);
+        if (heading && document.getElementById('markdown-content').contains(heading)) {
+            heading.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    // Resolve a link found in a chapter. Handles links relative to the chapter
+    // ("02_x.md", "../sw.administration/03_y.md"), links from the site root
+    // ("/output/sw.storefront/03_z.md") and "#fragment" suffixes. Returns
+    //   { type: 'chapter', chapter, sectionId }  a known chapter (or a section of it)
+    //   { type: 'missing', path }                a markdown file that is not a known chapter
+    //   null                                     anything else (external sites, images, ...)
+    function resolveContentLink(href, currentPath) {
+        if (!href) return null;
+
+        let url;
+        try {
+            url = new URL(href, new URL(currentPath, window.location.href));
+        } catch (e) {
+            return null;
+        }
+
+        const appBase = new URL('.', window.location.href);
+        if (url.origin !== appBase.origin) return null;
+
+        // Path relative to the viewer, e.g. "output/sw.storefront/03_storefrontcontroller_.md"
+        let path = decodeURIComponent(url.pathname);
+        if (path.startsWith(appBase.pathname)) {
+            path = path.substring(appBase.pathname.length);
+        } else if (path.includes('/output/')) {
+            path = path.substring(path.indexOf('/output/') + 1);
+        }
+
+        const sectionId = url.hash ? decodeURIComponent(url.hash.substring(1)) : null;
+
+        // "#fragment" on its own points into the current chapter
+        if (href.startsWith('#')) path = currentPath;
+
+        const chapter = findChapterByPath(path);
+        if (chapter) return { type: 'chapter', chapter, sectionId };
+        if (path.endsWith('.md')) return { type: 'missing', path };
+        return null;
+    }
+
+    // Make the links of a rendered chapter navigate inside the viewer and
+    // flag the ones pointing at chapters that do not exist
+    function attachContentLinks(contentDiv, currentPath) {
+        contentDiv.querySelectorAll('a[href]').forEach(link => {
+            // Only links written in the chapter, not the viewer's own controls
+            if (link.classList.contains('heading-anchor') || link.closest('.viewer-ui')) return;
+
+            const target = resolveContentLink(link.getAttribute('href'), currentPath);
+            if (!target) return;
+
+            if (target.type === 'missing') {
+                link.classList.add('broken-link');
+                link.title = `Chapter not found: ${target.path}`;
+                link.addEventListener('click', e => e.preventDefault());
+                return;
+            }
+
+            const route = { chapterId: target.chapter.id, sectionId: target.sectionId };
+            const isCurrentChapter = target.chapter.path === currentPath;
+
+            // Listed chapters that turned out to be missing when they were loaded
+            if (missingContent.has(target.chapter.path)) {
+                link.classList.add('broken-link');
+                link.title = `Chapter not found: ${target.chapter.path}`;
+            }
+
+            // Sections of the current chapter can be checked right away
+            if (isCurrentChapter && target.sectionId && !document.getElementById(target.sectionId)) {
+                link.classList.add('broken-link');
+                link.title = `Section not found: #${target.sectionId}`;
+            }
+
+            // A real href keeps "open in new tab" and "copy link" working
+            link.setAttribute('href', formatRoute(route));
+            link.addEventListener('click', function (e) {
+                e.preventDefault();
+
+                if (isCurrentChapter) {
+                    // No need to reload the chapter for a jump within it
+                    history.pushState(null, '', formatRoute(route));
+                    scrollToSection(target.sectionId);
+                } else {
+                    navigate(route);
+                }
+            });
+        });
+    }
+
+    // Code blocks with at least this many lines get a line number toggle
+    const LINE_NUMBER_THRESHOLD = 10;
+
+    // Names shown in the code block toolbar, keyed by the fence language
+    const CODE_LANGUAGE_LABELS = {
+        php: 'PHP',
+        json: 'JSON',
+        js: 'JavaScript',
+        javascript: 'JavaScript',
+        twig: 'Twig',
+        yaml: 'YAML',
+        yml: 'YAML',
+        xml: 'XML',
+        html: 'HTML',
+        bash: 'Shell',
+        sh: 'Shell',
+        shell: 'Shell'
+    };
+
+    // Syntax highlighting, a copy button and optional line numbers for every
+    // fenced code block. Highlighting only wraps the code in spans, and the
+    // toolbar and line numbers are .viewer-ui, so the rendered text is unchanged.
+    function enhanceCodeBlocks(contentDiv) {
+        contentDiv.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            if (code.classList.contains('language-mermaid')) return;
+
+            const languageClass = Array.from(code.classList).find(name => name.startsWith('language-'));
+            const language = languageClass ? languageClass.substring('language-'.length) : null;
+
+            // The highlighter is vendored, the code stays plain if its script failed to load
+            if (language && typeof hljs !== 'undefined' && hljs.getLanguage(language)) {
+                hljs.highlightElement(code);
+            }
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'code-block';
+            pre.parentNode.insertBefore(wrapper, pre);
+
+            const toolbar = document.createElement('div');
+            toolbar.className = 'code-toolbar viewer-ui';
+
+            const label = document.createElement('span');
+            label.className = 'code-language';
+            label.textContent = language ? (CODE_LANGUAGE_LABELS[language] || language) : '';
+            toolbar.appendChild(label);
+
+            const lineCount = code.textContent.replace(/\n$/, '').split('\n').length;
+            if (lineCount >= LINE_NUMBER_THRESHOLD) {
+                // One empty span per line, the numbers come from a CSS counter
+                const gutter = document.createElement('div');
+                gutter.className = 'line-numbers viewer-ui';
+                gutter.setAttribute('aria-hidden', 'true');
+                gutter.innerHTML = '<span></span>'.repeat(lineCount);
+
+                const toggle = document.createElement('button');
+                toggle.type = 'button';
+                toggle.className = 'code-line-numbers-toggle';
+                toggle.textContent = 'Line numbers';
+                toggle.setAttribute('aria-pressed', 'false');
+                TutorialViewerControls.setupLineNumbersToggle(wrapper, toggle);
+                toolbar.appendChild(toggle);
+
+                pre.insertBefore(gutter, code);
+            }
+
+            const copyButton = document.createElement('button');
+            copyButton.type = 'button';
+            copyButton.className = 'code-copy';
+            copyButton.textContent = 'Copy';
+            TutorialViewerControls.setupCopyButton(copyButton, code);
+            toolbar.appendChild(copyButton);
+
+            wrapper.appendChild(toolbar);
+            wrapper.appendChild(pre);
+        });
+    }
+
+    // Counter for unique ids of rendered diagrams
+    let diagramCount = 0;
+
+    // Zoom limits and step for the diagram pan/zoom controls
+    const DIAGRAM_MIN_SCALE = 0.25;
+    const DIAGRAM_MAX_SCALE = 4;
+    const DIAGRAM_ZOOM_STEP = 1.25;
+
+    // Render the ```mermaid blocks of a chapter. Nodes whose label matches a
+    // chapter title of the same tutorial (like the abstraction graphs of the
+    // index pages) open that chapter when clicked. Invalid diagram sources
+    // are shown with the error instead of leaving an empty area.
+    async function renderDiagrams(contentDiv, chapterId) {
+        const blocks = Array.from(contentDiv.querySelectorAll('pre > code.language-mermaid'));
+
+        for (const code of blocks) {
+            // The chapter may have been replaced while earlier diagrams were rendered
+            if (!code.isConnected) return;
+            await renderDiagram(code.parentElement, code.textContent, chapterId);
+        }
+    }
+
+    // Render one diagram in place of an element: the ```mermaid block, or an
+    // earlier rendering of the same diagram. The source is kept on the
+    // container so the diagram can be rendered again with another theme.
+    async function renderDiagram(element, source, chapterId) {
+        const position = chapterId && findChapterPosition(chapterId);
+        const chapters = position ? position.chapters : [];
+
+        const container = document.createElement('div');
+        container.className = 'mermaid-diagram viewer-ui';
+        container.dataset.source = source;
+        if (chapterId) container.dataset.chapterId = chapterId;
+
+        try {
+            if (typeof mermaid === 'undefined') {
+                throw new Error('The diagram library could not be loaded.');
+            }
+
+            const id = `mermaid-diagram-${++diagramCount}`; // a reserved id, see content-format.js
+            let svg;
+            try {
+                ({ svg } = await mermaid.render(id, source));
+            } finally {
+                // Mermaid leaves its scratch element behind when rendering fails
+                const scratch = document.getElementById(`d${id}`);
+                if (scratch) scratch.remove();
+            }
+
+            // The chapter may have been replaced while the diagram was rendered
+            if (!element.isConnected) return;
+
+            const viewport = document.createElement('div');
+            viewport.className = 'mermaid-viewport';
+            viewport.innerHTML = svg;
+            container.appendChild(viewport);
+
+            TutorialViewerControls.linkDiagramNodes(viewport, chapters, chapter => navigate({ chapterId: chapter.id }));
+            enablePanZoom(container, viewport);
+        } catch (error) {
+            if (!element.isConnected) return;
+
+            console.warn('Could not render diagram:', error);
+            container.classList.add('mermaid-error');
+            container.innerHTML = `
+                <div class="error">
+                    <strong>This diagram could not be rendered.</strong>
+                    <p class="mermaid-error-message"></p>
+                </div>
+                <pre><code class="language-mermaid"></code></pre>
+            `;
+            container.querySelector('.mermaid-error-message').textContent = error.message || String(error);
+
+            // Keep the source visible below the error
+            container.querySelector('code').textContent = source;
+        }
+
+        element.parentNode.replaceChild(container, element);
+    }
+
+    // Render every diagram on the page again, e.g. after the theme changed
+    function rerenderDiagrams() {
+        document.querySelectorAll('#markdown-content .mermaid-diagram[data-source]').forEach(container => {
+            renderDiagram(container, container.dataset.source, container.dataset.chapterId || null);
+        });
+    }
+
+    // Zoom buttons, Ctrl+wheel zoom and drag to pan for a rendered diagram
+    function enablePanZoom(container, viewport) {
+        const svg = viewport.querySelector('svg');
+        if (!svg) return;
+
+        let scale = 1;
+        let x = 0;
+        let y = 0;
+        let drag = null;
+
+        function apply() {
+            svg.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+        }
+
+        function zoom(factor) {
+            scale = Math.min(DIAGRAM_MAX_SCALE, Math.max(DIAGRAM_MIN_SCALE, scale * factor));
+            apply();
+        }
+
+        const controls = document.createElement('div');
+        controls.className = 'mermaid-controls';
+        controls.innerHTML = `
+            <button type="button" data-action="in" title="Zoom in">+</button>
+            <button type="button" data-action="out" title="Zoom out">−</button>
+            <button type="button" data-action="reset" title="Reset view">⟲</button>
+        `;
+        controls.addEventListener('click', e => {
+            const action = e.target.dataset.action;
+            if (action === 'in') zoom(DIAGRAM_ZOOM_STEP);
+            if (action === 'out') zoom(1 / DIAGRAM_ZOOM_STEP);
+            if (action === 'reset') {
+                scale = 1;
+                x = 0;
+                y = 0;
+                apply();
+            }
+        });
+        container.insertBefore(controls, viewport);
+
+        viewport.addEventListener('wheel', e => {
+            // Plain scrolling keeps scrolling the page
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            zoom(e.deltaY < 0 ? DIAGRAM_ZOOM_STEP : 1 / DIAGRAM_ZOOM_STEP);
+        }, { passive: false });
+
+        viewport.addEventListener('pointerdown', e => {
+            drag = { startX: e.clientX - x, startY: e.clientY - y, originX: e.clientX, originY: e.clientY };
+            viewport.dataset.dragged = 'false';
+        });
+        viewport.addEventListener('pointermove', e => {
+            if (!drag) return;
+
+            // Small movements still count as a click
+            if (Math.abs(e.clientX - drag.originX) + Math.abs(e.clientY - drag.originY) > 4) {
+                viewport.dataset.dragged = 'true';
+                viewport.classList.add('dragging');
+            }
+            x = e.clientX - drag.startX;
+            y = e.clientY - drag.startY;
+            apply();
+        });
+        ['pointerup', 'pointerleave'].forEach(type => {
+            viewport.addEventListener(type, () => {
+                drag = null;
+                viewport.classList.remove('dragging');
+            });
+        });
+    }
+
+    // Where a chapter sits in its tutorial: the ordered chapter list of its
+    // group (starting with the overview) and its position in that list
+    function findChapterPosition(chapterId) {
+        for (const groupName in tutorialGroups) {
+            const chapters = tutorialGroups[groupName];
+            const index = chapters.findIndex(ch => ch.id === chapterId);
+            if (index !== -1) return { groupName, chapters, index };
+        }
+        return null;
+    }
+
+    // Previous/next links and a progress indicator at the top and bottom of a chapter
+    function addChapterNavigation(contentDiv, chapterId) {
+        const position = chapterId && findChapterPosition(chapterId);
+        if (!position) return;
+
+        const { groupName, chapters, index } = position;
+        const previous = chapters[index - 1];
+        const next = chapters[index + 1];
+
+        // The overview is not counted as a chapter
+        const chapterCount = chapters.filter(ch => !ch.id.endsWith('-index')).length;
+        const isOverview = chapters[index].id.endsWith('-index');
+        const chapterNumber = chapters.slice(0, index + 1).filter(ch => !ch.id.endsWith('-index')).length;
+        const progressText = isOverview ?
+            `${groupName}: Overview` :
+            `${groupName}: Chapter ${chapterNumber} of ${chapterCount}`;
+
+        ['top', 'bottom'].forEach(placement => {
+            const nav = document.createElement('nav');
+            nav.className = `chapter-nav chapter-nav-${placement} viewer-ui`;
+            nav.setAttribute('aria-label', 'Chapter navigation');
+
+            const previousLink = previous ?
+                `<a class="chapter-nav-previous" href="#${escapeHtml(previous.id)}" title="Previous chapter (k)">← ${escapeHtml(previous.title)}</a>` :
+                '<span class="chapter-nav-previous"></span>';
+            const nextLink = next ?
+                `<a class="chapter-nav-next" href="#${escapeHtml(next.id)}" title="Next chapter (j)">${escapeHtml(next.title)} →</a>` :
+                '<span class="chapter-nav-next"></span>';
+
+            // The whole tutorial can be printed, and the chapter compared with
+            // another version, from the top of every chapter
+            const printLink = placement === 'top' ? `
+                <a class="chapter-print-link" href="${escapeHtml(formatRoute({ print: groupName }))}">Print tutorial</a>
+                <a class="chapter-compare-link" href="${escapeHtml(formatRoute({ chapterId: chapters[index].id, compare: defaultCompareTarget() }))}">Compare versions</a>
+            ` : '';
+
+            nav.innerHTML = `
+                ${previousLink}
+                <div class="chapter-progress">
+                    <span>${escapeHtml(progressText)}</span>
+                    <div class="chapter-progress-bar"><div style="width: ${chapterCount ? chapterNumber / chapterCount * 100 : 0}%"></div></div>
+                    ${printLink}
+                </div>
+                ${nextLink}
+            `;
+
+            nav.querySelectorAll('a').forEach(link => {
+                link.addEventListener('click', function (e) {
+                    e.preventDefault();
+                    navigate(parseRoute(this.getAttribute('href')));
+                });
+            });
+
+            if (placement === 'top') {
+                contentDiv.insertBefore(nav, contentDiv.firstChild);
+            } else {
+                contentDiv.appendChild(nav);
+            }
+        });
+    }
+
+    // Go to the chapter before or after the current one (-1 / +1)
+    function goToAdjacentChapter(step) {
+        const position = findChapterPosition(parseRoute(window.location.hash).chapterId);
+        if (!position) return;
+
+        const target = position.chapters[position.index + step];
+        if (target) {
+            navigate({ chapterId: target.id });
+            window.scrollTo(0, 0);
+        }
+    }
+
+    // Marks the content as loading for assistive technology, a slow chapter is announced
+    let contentBusyTimer = null;
+    function setContentBusy(busy) {
+        const contentDiv = document.getElementById('markdown-content');
+        clearTimeout(contentBusyTimer);
+        if (busy) {
+            contentDiv.setAttribute('aria-busy', 'true');
+            contentBusyTimer = setTimeout(() => announce('Loading chapter…'), 500);
+        } else {
+            contentDiv.removeAttribute('aria-busy');
+        }
+    }
+
+    // Keyboard shortcuts: j / → for the next chapter, k / ← for the previous one
+    function setupChapterKeys() {
+        document.addEventListener('keydown', function (e) {
+            const target = e.target;
+            const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+            if (isTyping || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+
+            if (e.key === 'j' || e.key === 'ArrowRight') {
+                goToAdjacentChapter(1);
+            } else if (e.key === 'k' || e.key === 'ArrowLeft') {
+                goToAdjacentChapter(-1);
+            }
+        });
+    }
+
+    // Counts the views opened by applyRoute(), renders of older views stop
+    let viewCount = 0;
+    const STALE_RENDER = Symbol('stale render');
+
+    // Show a chapter (the render pipeline described at renderMarkdown()).
+    // Options: sectionId to scroll to, or markMatches to highlight search
+    // matches instead, called before the diagrams replace their sources.
+    function renderChapter(path, options = {}) {
+        const contentDiv = document.getElementById('markdown-content');
+        const chapter = findChapterByPath(path);
+        const chapterId = chapter && chapter.id;
+        const context = { chapter, path, view: 'chapter' };
+
+        // Loading and the transforms let other code run in between: once the
+        // reader opens another view, this render stops
+        const view = viewCount;
+        const isStale = () => view !== viewCount;
+
+        setContentBusy(true);
+        return loadContent(path)
+            .then(markdown => {
+                if (isStale()) return STALE_RENDER;
+
+                contentDiv.innerHTML = renderMarkdown(markdown, context);
+                setContentBusy(false);
+
+                // Heading ids, anchor links and the "On this page" outline
+                addHeadingAnchors(contentDiv, chapterId);
+                buildTableOfContents(contentDiv, chapterId);
+                addChapterNavigation(contentDiv, chapterId);
+                enhanceCodeBlocks(contentDiv);
+
+                return runTransforms(contentDiv, context);
+            })
+            .then(() => {
+                if (isStale()) return STALE_RENDER;
+
+                if (options.markMatches) {
+                    // Highlight before Mermaid replaces the diagram sources, the
+                    // rendered text then matches the text the index was built from
+                    options.markMatches();
+                }
+                showAnnotations(contentDiv, chapterId);
+                focusContentHeading(contentDiv);
+                if (!options.markMatches) scrollToSection(options.sectionId);
+
+                // Render mermaid diagrams (asynchronously)
+                const diagramsRendered = renderDiagrams(contentDiv, chapterId);
+
+                // Add link handling for internal markdown links
+                attachContentLinks(contentDiv, path);
+                linkGlossaryTerms(contentDiv, chapterId);
+
+                prefetchNextChapter(chapterId);
+                if (chapter) recordChapterView(chapterId);
+
+                return diagramsRendered;
+            })
+            .then(result => {
+                if (result === STALE_RENDER || isStale()) return;
+
+                // Diagrams change the height of the chapter, the saved
+                // position is only right once they are rendered
+                if (chapter) restoreReadingPosition(chapterId, !options.sectionId && !options.markMatches);
+
+                notifyHooks('rendered', context);
+                dispatchChapterRendered(path);
+            })
+            .catch(error => {
+                console.error('Error loading chapter:', error);
+                if (isStale()) return;
+
+                clearTableOfContents();
+                contentDiv.innerHTML = `
+                    <div class="error">
+                        <h2>Error Loading Content</h2>
+                        <p>Could not load the requested chapter. Please check if the file exists at: ${escapeHtml(path)}</p>
+                    </div>
+                `;
+                setContentBusy(false);
+                announce('Could not load the chapter');
+                focusContentHeading(contentDiv);
+                dispatchChapterRendered(path, error);
+            });
+    }
+
+    // Run background work when the browser is idle
+    function scheduleIdle(callback) {
+        if (window.requestIdleCallback) {
+            window.requestIdleCallback(callback);
+        } else {
+            setTimeout(callback, 1000);
+        }
+    }
+
+    // Load the next chapter in the background when the browser is idle, it is
+    // the one most likely opened next
+    function prefetchNextChapter(chapterId) {
+        const position = chapterId && findChapterPosition(chapterId);
+        const next = position && position.chapters[position.index + 1];
+        if (!next) return;
+
+        scheduleIdle(() => loadContent(next.path).catch(() => { }));
+    }
+
+    // Announce that a chapter is completely rendered, diagrams included. The
+    // static export (tools/export-static.js) waits for this before saving a page.
+    function dispatchChapterRendered(path, error) {
+        document.dispatchEvent(new CustomEvent('chapterrendered', {
+            detail: { path, error: error || null }
+        }));
+    }
+
+    // All chapters of a tutorial on one page, in sidebar order, with a cover
+    // page and a table of contents. The print stylesheet hides the viewer
+    // around it and starts every chapter on a new page.
+    async function showPrintView(groupName) {
+        const chapters = tutorialGroups[groupName];
+        const contentDiv = document.getElementById('markdown-content');
+        clearTableOfContents();
+        contentDiv.innerHTML = `
+            <div class="loading">
+                <h2>Preparing ${escapeHtml(groupName)} for printing...</h2>
+            </div>
+        `;
+
+        const contents = await Promise.all(chapters.map(chapter => loadContent(chapter.path).catch(() => null)));
+
+        // Another view was opened while the chapters were loading
+        if (parseRoute(window.location.hash).print !== groupName) return;
+
+        // The overview is not counted as a chapter
+        const chapterCount = chapters.filter(ch => !ch.id.endsWith('-index')).length;
+        const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+        const firstChapter = chapters[0];
+
+        contentDiv.innerHTML = `
+            <div class="print-toolbar viewer-ui">
+                <a class="print-back" href="#${escapeHtml(firstChapter.id)}">← Back to ${escapeHtml(groupName)}</a>
+                <button type="button" class="print-button">Print / Save as PDF</button>
+            </div>
+            <section class="print-cover">
+                <p class="print-cover-site">${escapeHtml(document.querySelector('header h1').textContent)}</p>
+                <h1>${escapeHtml(groupName)}</h1>
+                <p>${chapterCount} chapters · ${escapeHtml(date)}</p>
+            </section>
+            <nav class="print-contents" aria-label="Contents">
+                <h2>Contents</h2>
+                <ol>
+                    ${chapters.map(chapter => `
+                        <li><a href="#print-${escapeHtml(chapter.id)}">${escapeHtml(chapter.title)}</a></li>
+                    `).join('')}
+                </ol>
+            </nav>
+        `;
+
+        contentDiv.querySelector('.print-button').addEventListener('click', () => window.print());
+        contentDiv.querySelector('.print-back').addEventListener('click', function (e) {
+            e.preventDefault();
+            navigate({ chapterId: firstChapter.id });
+        });
+
+        const diagramsRendered = chapters.map((chapter, i) => {
+            const article = document.createElement('article');
+            article.className = 'print-chapter';
+            article.id = `print-${chapter.id}`; // a reserved id, see content-format.js
+
+            if (contents[i] === null) {
+                article.innerHTML = `
+                    <div class="error">
+                        <h2>${escapeHtml(chapter.title)}</h2>
+                        <p>Could not load this chapter from ${escapeHtml(chapter.path)}</p>
+                    </div>
+                `;
+                contentDiv.appendChild(article);
+                return Promise.resolve();
+            }
+
+            const context = { chapter, path: chapter.path, view: 'print' };
+            article.innerHTML = renderMarkdown(contents[i], context);
+            enhanceCodeBlocks(article);
+            contentDiv.appendChild(article);
+
+            return runTransforms(article, context).then(() => {
+                attachPrintLinks(article, groupName, chapter.path);
+                return renderDiagrams(article, chapter.id);
+            });
+        });
+
+        // Links in the table of contents stay on this page
+        attachPrintLinks(contentDiv.querySelector('.print-contents'), groupName, firstChapter.path);
+
+        await Promise.all(diagramsRendered);
+        document.dispatchEvent(new CustomEvent('printviewrendered', { detail: { groupName } }));
+    }
+
+    // Links between chapters of the printed tutorial point into the printed
+    // page, so they also work in a saved PDF. Links to other tutorials open
+    // the chapter in the viewer.
+    function attachPrintLinks(root, groupName, currentPath) {
+        root.querySelectorAll('a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+            let printId = href.startsWith('#print-') ? href.substring(1) : null;
+            let route = null;
+
+            if (!printId) {
+                const target = resolveContentLink(href, currentPath);
+                if (!target || target.type !== 'chapter') return;
+
+                if (tutorialGroups[groupName].includes(target.chapter)) {
+                    printId = `print-${target.chapter.id}`;
+                    link.setAttribute('href', `#${printId}`);
+                } else {
+                    route = { chapterId: target.chapter.id, sectionId: target.sectionId };
+                    link.setAttribute('href', formatRoute(route));
+                }
+            }
+
+            link.addEventListener('click', function (e) {
+                e.preventDefault();
+                if (route) {
+                    navigate(route);
+                    return;
+                }
+                const element = document.getElementById(printId);
+                if (element) element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        });
+    }
+
+    // Compare mode: a chapter next to another version of it, or next to a
+    // local markdown file. Both sides are split into sections on their
+    // headings and aligned section by section, changed code blocks are diffed
+    // line by line and changed diagrams get a summary of their nodes and edges.
+    const LOCAL_FILE_COMPARE = 'file';
+
+    // What a chapter is compared with by default: the version before the one
+    // shown (or after it, for the oldest), a local file without other versions
+    function defaultCompareTarget() {
+        const index = versions.indexOf(currentVersion);
+        const other = versions[index + 1] || versions[index - 1];
+        return other && other.id ? other.id : LOCAL_FILE_COMPARE;
+    }
+
+    async function showCompareView(chapter, target) {
+        const contentDiv = document.getElementById('markdown-content');
+        clearTableOfContents();
+        contentDiv.innerHTML = `
+            <div class="loading">
+                <h2>Comparing ${escapeHtml(chapter.title)}...</h2>
+            </div>
+        `;
+
+        // Another view was opened while the chapters were loading
+        const isShown = () => {
+            const route = parseRoute(window.location.hash);
+            return route.chapterId === chapter.id && route.compare === target;
+        };
+
+        const baseVersion = target === LOCAL_FILE_COMPARE ? null : findVersion(target);
+        let current;
+        let base = null;
+        try {
+            current = { label: currentVersion.label || 'Current', markdown: await loadContent(chapter.path) };
+            if (baseVersion) {
+                base = { label: baseVersion.label, markdown: await loadVersionChapter(baseVersion, chapter) };
+            }
+        } catch (error) {
+            if (!isShown()) return;
+            console.error('Error loading chapters to compare:', error);
+            contentDiv.innerHTML = `
+                <div class="error">
+                    <h2>Error Loading Content</h2>
+                    <p>Could not load both versions of ${escapeHtml(chapter.title)}: ${escapeHtml(error.message)}</p>
+                </div>
+            `;
+            return;
+        }
+        if (!isShown()) return;
+
+        const targets = versions.filter(version => version.id && version !== currentVersion)
+            .map(version => ({ value: version.id, label: version.label }))
+            .concat({ value: LOCAL_FILE_COMPARE, label: 'Local file...' });
+
+        contentDiv.innerHTML = `
+            <div class="compare-toolbar viewer-ui">
+                <a class="compare-back" href="${escapeHtml(formatRoute({ chapterId: chapter.id }))}">← Back to the chapter</a>
+                <label>Compare with
+                    <select class="compare-target">
+                        ${targets.map(option => `
+                            <option value="${escapeHtml(option.value)}"${option.value === target ? ' selected' : ''}>${escapeHtml(option.label)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <input type="file" class="compare-file" accept=".md,.markdown,text/markdown,text/plain" hidden>
+                <label><input type="checkbox" class="compare-changes-only"> Only changes</label>
+            </div>
+            <h1 class="compare-title">Changes in ${escapeHtml(chapter.title)}</h1>
+            <div class="compare-result"></div>
+        `;
+
+        const result = contentDiv.querySelector('.compare-result');
+        const fileInput = contentDiv.querySelector('.compare-file');
+
+        contentDiv.querySelector('.compare-back').addEventListener('click', function (e) {
+            e.preventDefault();
+            navigate({ chapterId: chapter.id });
+        });
+        contentDiv.querySelector('.compare-target').addEventListener('change', function () {
+            navigate({ chapterId: chapter.id, compare: this.value });
+        });
+        contentDiv.querySelector('.compare-changes-only').addEventListener('change', function () {
+            result.classList.toggle('only-changes', this.checked);
+        });
+
+        if (baseVersion) {
+            if (base.markdown === null) {
+                base.markdown = '';
+                result.insertAdjacentHTML('beforebegin', `
+                    <p class="compare-note">This chapter is not part of ${escapeHtml(baseVersion.label)}, all of it is new.</p>
+                `);
+            }
+            renderComparison(result, base, current);
+        } else if (target === LOCAL_FILE_COMPARE) {
+            // A local file cannot be part of the URL, it is picked every time
+            fileInput.hidden = false;
+            result.innerHTML = '<p class="compare-note">Choose a markdown file to compare this chapter with.</p>';
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text().then(markdown => {
+                    renderComparison(result, { label: file.name, markdown }, current);
+                }).catch(error => {
+                    result.innerHTML = `<div class="error"><p>Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</p></div>`;
+                });
+            });
+        } else {
+            result.innerHTML = `<div class="error"><p>There is no version "${escapeHtml(target)}" to compare with.</p></div>`;
+        }
+    }
+
+    // Source of a chapter in another version, null if that version does not have it
+    async function loadVersionChapter(version, chapter) {
+        const match = findMatchingChapter(await loadVersionGroups(version), chapter);
+        return match ? loadContent(match.path) : null;
+    }
+
+    // The compare view renders single sections and blocks of two files
+    const COMPARE_RENDER_CONTEXT = Object.freeze({ chapter: null, path: null, view: 'compare' });
+
+    // Render the comparison of two sources ({ label, markdown }), the older one on the left
+    function renderComparison(container, base, current) {
+        const sections = compareSections(splitMarkdownSections(base.markdown), splitMarkdownSections(current.markdown));
+        const count = status => sections.filter(section => section.status === status).length;
+        const summary = sections.every(section => section.status === 'equal') ?
+            'No changes.' :
+            `Sections: ${count('changed')} changed, ${count('added')} added, ${count('removed')} removed.`;
+
+        container.innerHTML = `
+            <p class="compare-summary">${escapeHtml(summary)}</p>
+            <div class="compare-row compare-labels">
+                <div class="compare-cell">${escapeHtml(base.label)}</div>
+                <div class="compare-cell">${escapeHtml(current.label)}</div>
+            </div>
+        `;
+
+        sections.forEach(section => {
+            const element = document.createElement('section');
+            element.className = `compare-section is-${section.status}`;
+
+            const baseHeading = section.base && section.base.heading;
+            const currentHeading = section.current && section.current.heading;
+            if (baseHeading || currentHeading) {
+                const status = baseHeading === currentHeading ? 'equal' : section.status;
+                const row = addCompareRow(element, `compare-heading is-${status}`);
+                if (baseHeading) row.base.innerHTML = renderMarkdown(baseHeading, COMPARE_RENDER_CONTEXT);
+                if (currentHeading) row.current.innerHTML = renderMarkdown(currentHeading, COMPARE_RENDER_CONTEXT);
+            }
+
+            section.blocks.forEach(block => renderBlockComparison(element, block));
+            container.appendChild(element);
+        });
+    }
+
+    // One row of the comparison, with a cell for each side
+    function addCompareRow(parent, className) {
+        const row = document.createElement('div');
+        row.className = `compare-row ${className}`;
+        row.innerHTML = '<div class="compare-cell compare-base"></div><div class="compare-cell compare-current"></div>';
+        parent.appendChild(row);
+        return { base: row.firstElementChild, current: row.lastElementChild };
+    }
+
+    function renderBlockComparison(parent, block) {
+        const isCode = block.base && block.current && block.base.type === 'code' && block.current.type === 'code' &&
+            block.base.language === block.current.language;
+
+        const row = addCompareRow(parent, `is-${block.status}`);
+        if (block.status === 'changed' && isCode) {
+            row.base.innerHTML = renderCodeDiff(block.base, block.current, 'removed');
+            row.current.innerHTML = renderCodeDiff(block.base, block.current, 'added');
+            if (block.base.language === 'mermaid') {
+                const summaryRow = document.createElement('div');
+                summaryRow.className = 'compare-row compare-diagram-summary is-changed';
+                summaryRow.innerHTML = renderDiagramChanges(summarizeDiagramChanges(block.base.code, block.current.code));
+                parent.appendChild(summaryRow);
+            }
+            return;
+        }
+
+        [['base', 'removed'], ['current', 'added']].forEach(([side, change]) => {
+            const cell = row[side];
+            if (!block[side]) {
+                cell.classList.add('is-empty');
+                return;
+            }
+            if (block.status !== 'equal') cell.classList.add(`is-${change}`);
+            cell.innerHTML = renderMarkdown(block[side].markdown, COMPARE_RENDER_CONTEXT);
+            enhanceCodeBlocks(cell);
+            renderDiagrams(cell, null);
+        });
+    }
+
+    // One side of a line diff of two code blocks: the lines both share and
+    // the lines only this side has ('removed' for the left, 'added' for the right)
+    function renderCodeDiff(base, current, change) {
+        const operations = diffSequences(base.code.split('\n'), current.code.split('\n'), (a, b) => a === b);
+        const highlight = line => {
+            if (typeof hljs !== 'undefined' && base.language && hljs.getLanguage(base.language)) {
+                return hljs.highlight(line, { language: base.language, ignoreIllegals: true }).value;
+            }
+            return escapeHtml(line);
+        };
+
+        const lines = operations
+            .filter(operation => operation.type === 'equal' || operation.type === change)
+            .map(operation => {
+                const line = change === 'removed' ? operation.a : operation.b;
+                const className = operation.type === 'equal' ? 'diff-line' : `diff-line diff-line-${change}`;
+                return `<span class="${className}">${highlight(line) || ' '}</span>`;
+            });
+
+        const languageClass = base.language ? ` language-${escapeHtml(base.language)}` : '';
+        return `<pre class="compare-code"><code class="hljs${languageClass}">${lines.join('')}</code></pre>`;
+    }
+
+    // Split markdown into sections at its headings (the text before the first
+    // heading is a section without one) and each section into blocks:
+    // paragraphs, lists and tables end at blank lines, fenced code is one block
+    function splitMarkdownSections(markdown) {
+        const sections = [{ heading: null, key: '', blocks: [] }];
+        let lines = [];
+        let fence = null;
+
+        const addBlock = block => {
+            block.key = block.markdown.replace(/\s+/g, ' ').trim();
+            sections[sections.length - 1].blocks.push(block);
+        };
+        const flush = () => {
+            if (lines.length > 0) addBlock({ type: 'text', markdown: lines.join('\n') });
+            lines = [];
+        };
+        const closeFence = () => {
+            addBlock({
+                type: 'code',
+                language: fence.language,
+                markdown: fence.lines.join('\n'),
+                code: fence.lines.slice(1, fence.closed ? -1 : undefined).join('\n')
+            });
+            fence = null;
+        };
+
+        markdown.split('\n').forEach(line => {
+            if (fence) {
+                fence.lines.push(line);
+                const trimmed = line.trim();
+                if (trimmed.startsWith(fence.marker) && /^[`~]+$/.test(trimmed)) {
+                    fence.closed = true;
+                    closeFence();
+                }
+                return;
+            }
+
+            const fenceMatch = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#-]*)/);
+            if (fenceMatch) {
+                flush();
+                fence = { marker: fenceMatch[1], language: fenceMatch[2].toLowerCase(), lines: [line], closed: false };
+                return;
+            }
+
+            const headingMatch = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (headingMatch) {
+                flush();
+                sections.push({ heading: line.trim(), key: `${headingMatch[1].length} ${slugify(headingMatch[2])}`, blocks: [] });
+                return;
+            }
+
+            if (line.trim() === '') {
+                flush();
+            } else {
+                lines.push(line);
+            }
+        });
+
+        if (fence) closeFence();
+        flush();
+
+        // No text before the first heading
+        if (sections[0].blocks.length === 0) sections.shift();
+        return sections;
+    }
+
+    // Align the sections of two sources on their headings. Sections left over
+    // between two aligned ones are paired up in order, so a renamed heading
+    // still shows what changed in its section.
+    function compareSections(baseSections, currentSections) {
+        return pairChanges(diffSequences(baseSections, currentSections, (a, b) => a.key === b.key))
+            .map(({ base, current }) => {
+                const blocks = pairChanges(diffSequences(base ? base.blocks : [], current ? current.blocks : [],
+                    (a, b) => a.key === b.key));
+                let status = 'changed';
+                if (!base) {
+                    status = 'added';
+                } else if (!current) {
+                    status = 'removed';
+                } else if (base.heading === current.heading && blocks.every(block => block.status === 'equal')) {
+                    status = 'equal';
+                }
+                return { status, base, current, blocks };
+            });
+    }
+
+    // Turn a diff into aligned pairs ({ status, base, current }): runs of
+    // removed and added items between two equal ones are paired in order
+    function pairChanges(operations) {
+        const pairs = [];
+        let removed = [];
+        let added = [];
+
+        const flush = () => {
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                const base = removed[i] || null;
+                const current = added[i] || null;
+                pairs.push({ status: base && current ? 'changed' : (base ? 'removed' : 'added'), base, current });
+            }
+            removed = [];
+            added = [];
+        };
+
+        operations.forEach(operation => {
+            if (operation.type === 'removed') {
+                removed.push(operation.a);
+            } else if (operation.type === 'added') {
+                added.push(operation.b);
+            } else {
+                flush();
+                pairs.push({ status: 'equal', base: operation.a, current: operation.b });
+            }
+        });
+        flush();
+
+        return pairs;
+    }
+
+    // Longest common subsequence diff of two lists: a list of
+    // { type: 'equal' | 'removed' | 'added', a, b } in the order of the lists
+    function diffSequences(a, b, equals) {
+        // common[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+        const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                common[i][j] = equals(a[i], b[j]) ?
+                    common[i + 1][j + 1] + 1 :
+                    Math.max(common[i + 1][j], common[i][j + 1]);
+            }
+        }
+
+        const operations = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (equals(a[i], b[j])) {
+                operations.push({ type: 'equal', a: a[i++], b: b[j++] });
+            } else if (common[i + 1][j] >= common[i][j + 1]) {
+                operations.push({ type: 'removed', a: a[i++] });
+            } else {
+                operations.push({ type: 'added', b: b[j++] });
+            }
+        }
+        while (i < a.length) operations.push({ type: 'removed', a: a[i++] });
+        while (j < b.length) operations.push({ type: 'added', b: b[j++] });
+
+        return operations;
+    }
+
+    // Nodes and edges of a flowchart or sequence diagram, by label, so the
+    // node ids (A0, A1, ...) may be renumbered between versions
+    function parseDiagramGraph(source) {
+        // Labels of the generated graphs contain line breaks
+        const text = source.replace(/"[^"]*"/g, quoted => quoted.replace(/\s+/g, ' '));
+        const lines = text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('%%'));
+        const isSequence = /^sequenceDiagram\b/.test(lines[0] || '');
+        const labels = new Map(); // node id -> label
+        const edges = [];
+        const clean = label => label.replace(/^"|"$/g, '').replace(/\s+/g, ' ').trim();
+        const addNode = (id, label) => {
+            if (label || !labels.has(id)) labels.set(id, clean(label || id));
+        };
+
+        lines.slice(1).forEach(line => {
+            if (isSequence) {
+                const participant = line.match(/^(?:participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/);
+                if (participant) {
+                    addNode(participant[1], participant[2]);
+                    return;
+                }
+                const message = line.match(/^([^:+-]+?)\s*--?(?:>>|>|x|\))\s*[+-]?\s*([^:]+?)\s*:\s*(.*)$/);
+                if (message) {
+                    addNode(message[1]);
+                    addNode(message[2]);
+                    edges.push({ from: message[1], to: message[2], label: message[3] });
+                }
+                return;
+            }
+
+            if (/^(classDef|class|style|linkStyle|click|subgraph|end|direction)\b/.test(line)) return;
+
+            // Node definitions: id["label"], id(label), id{label}, ...
+            const definitions = line.replace(/--\s*"[^"]*"\s*-->/g, '-->').replace(/\|[^|]*\|/g, '');
+            const nodePattern = /([\w-]+)(?:\[\[|\[\(|\(\(|\[|\(|\{\{|\{|>)\s*(?:"([^"]*)"|([^\]\)\}]*?))\s*(?:\]\]|\)\]|\)\)|\]|\)|\}\}|\})/g;
+            let node;
+            while ((node = nodePattern.exec(definitions)) !== null) {
+                addNode(node[1], node[2] !== undefined ? node[2] : node[3]);
+            }
+
+            // Edges: A --> B, A -- "label" --> B, A -->|label| B, A -.-> B, A ==> B
+            const edge = line.match(/^([\w-]+)(?:[\[\(\{>].*?[\]\)\}])?\s*(?:--\s*"([^"]*)"\s*-->|--\s+([^"|>-][^|>]*?)\s+-->|-->|---|-\.->|==>)\s*(?:\|([^|]*)\|)?\s*([\w-]+)/);
+            if (edge) {
+                addNode(edge[1]);
+                addNode(edge[5]);
+                edges.push({ from: edge[1], to: edge[5], label: edge[2] || edge[3] || edge[4] || '' });
+            }
+        });
+
+        const name = id => labels.get(id) || id;
+        return {
+            nodes: new Set(labels.values()),
+            edges: new Set(edges.map(edge => `${name(edge.from)} → ${name(edge.to)}` + (edge.label ? ` (${clean(edge.label)})` : '')))
+        };
+    }
+
+    // Nodes and edges one version of a diagram has and the other does not
+    function summarizeDiagramChanges(baseSource, currentSource) {
+        const base = parseDiagramGraph(baseSource);
+        const current = parseDiagramGraph(currentSource);
+        const missingFrom = (items, other) => Array.from(items).filter(item => !other.has(item));
+
+        return {
+            addedNodes: missingFrom(current.nodes, base.nodes),
+            removedNodes: missingFrom(base.nodes, current.nodes),
+            addedEdges: missingFrom(current.edges, base.edges),
+            removedEdges: missingFrom(base.edges, current.edges)
+        };
+    }
+
+    function renderDiagramChanges(changes) {
+        const items = [
+            ...changes.addedNodes.map(label => ['added', `Node added: ${label}`]),
+            ...changes.removedNodes.map(label => ['removed', `Node removed: ${label}`]),
+            ...changes.addedEdges.map(label => ['added', `Edge added: ${label}`]),
+            ...changes.removedEdges.map(label => ['removed', `Edge removed: ${label}`])
+        ];
+
+        if (items.length === 0) {
+            return '<p class="diagram-changes">Diagram: the nodes and edges are the same, only the layout or styling changed.</p>';
+        }
+        return `
+            <div class="diagram-changes">
+                <strong>Diagram changes</strong>
+                <ul>
+                    ${items.map(([change, text]) => `<li class="is-${change}">${escapeHtml(text)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    // Glossary: the classes and concepts the tutorials explain, each with the
+    // chapter (and section) that explains it. Terms come from the chapter
+    // titles ("Theme System (ThemeService, ThemeCompiler, ...)"), the
+    // abstraction graphs of the index pages, headings and classes declared in
+    // code examples, in that order of precedence. Inline code that names a
+    // term links to it and shows a preview of the explanation on hover.
+    const GLOSSARY_EXCERPT_LENGTH = 240;
+    const GLOSSARY_PREVIEW_DELAY = 300; // ms of hovering before the preview opens
+
+    // Identifiers like ThemeCompiler or PageLoadedHook in titles and headings
+    const IDENTIFIER_PATTERN = /\b[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]*)+\b/g;
+    // Inline code in a heading that is a single identifier, e.g. `Router`
+    const CODE_TERM_PATTERN = /^[A-Za-z_][\w\\]*$/;
+    // Classes declared in code examples
+    const DECLARATION_PATTERN = /\b(?:class|interface|trait|enum)\s+([A-Z]\w*)/g;
+
+    // term -> { term, chapter, group, sectionId, heading, excerpt }, built
+    // once per version on first use. builtGlossary is the same map once the
+    // build has finished.
+    let glossaryPromise = null;
+    let builtGlossary = null;
+
+    let glossaryPreview = null;
+    let glossaryPreviewTimer = null;
+
+    function getGlossary() {
+        if (!glossaryPromise) {
+            const promise = buildGlossary(tutorialGroups);
+            glossaryPromise = promise;
+            promise.then(glossary => {
+                if (glossaryPromise !== promise) return;
+                builtGlossary = glossary;
+                dispatchGlossaryReady();
+            }, error => {
+                if (glossaryPromise !== promise) return;
+                // The next use tries again
+                glossaryPromise = null;
+                dispatchGlossaryReady(error);
+            });
+        }
+        return glossaryPromise;
+    }
+
+    // Announce that the glossary is built (or could not be built): chapters
+    // rendered from now on have their terms linked before chapterrendered.
+    // The static export (tools/export-static.js) waits for this.
+    function dispatchGlossaryReady(error) {
+        document.dispatchEvent(new CustomEvent('glossaryready', {
+            detail: { error: error || null }
+        }));
+    }
+
+    function resetGlossary() {
+        glossaryPromise = null;
+        builtGlossary = null;
+    }
+
+    async function buildGlossary(groups) {
+        const entries = [];
+        for (const groupName in groups) {
+            groups[groupName].forEach(chapter => entries.push({ chapter, group: groupName }));
+        }
+
+        const contents = await Promise.all(entries.map(({ chapter }) => loadContent(chapter.path).catch(() => null)));
+
+        // Rendered like the chapters, so the section ids match
+        const parser = new DOMParser();
+        const documents = [];
+        entries.forEach((entry, i) => {
+            if (contents[i] === null) return;
+            const body = parser.parseFromString(renderMarkdown(contents[i], { chapter: entry.chapter, path: entry.chapter.path, view: 'glossary' }), 'text/html').body;
+            addHeadingAnchors(body, null);
+            documents.push({ ...entry, body });
+        });
+
+        const glossary = new Map();
+        const add = (term, entry) => {
+            if (!glossary.has(term)) glossary.set(term, { term, ...entry });
+        };
+
+        // Chapter titles: the concept itself and the classes named in it
+        documents.forEach(({ chapter, group, body }) => {
+            if (chapter.id.endsWith('-index')) return;
+
+            const title = chapter.title.replace(/^\d+\.\s*/, '');
+            const entry = { chapter, group, sectionId: null, heading: null, excerpt: glossaryExcerpt(body.querySelector('p')) };
+            add(title.replace(/\s*\(.*\)\s*$/, ''), entry);
+            (title.match(IDENTIFIER_PATTERN) || []).forEach(term => add(term, entry));
+        });
+
+        // Abstractions in the graphs of the index pages that have no chapter of their own
+        documents.forEach(({ chapter, group, body }) => {
+            if (!chapter.id.endsWith('-index')) return;
+
+            const entry = { chapter, group, sectionId: null, heading: null, excerpt: glossaryExcerpt(body.querySelector('p')) };
+            body.querySelectorAll('pre > code.language-mermaid').forEach(code => {
+                parseDiagramGraph(code.textContent).nodes.forEach(label => {
+                    add(label.replace(/\s*\(.*\)\s*$/, ''), entry);
+                    (label.match(IDENTIFIER_PATTERN) || []).forEach(term => add(term, entry));
+                });
+            });
+        });
+
+        // Headings, and classes declared in the code of a section
+        documents.forEach(({ chapter, group, body }) => {
+            let section = null;
+
+            Array.from(body.children).forEach(element => {
+                if (/^H[2-6]$/.test(element.tagName)) {
+                    section = {
+                        chapter,
+                        group,
+                        sectionId: element.id,
+                        heading: element.textContent.trim(),
+                        excerpt: glossaryExcerpt(findSectionParagraph(element))
+                    };
+                    element.querySelectorAll('code').forEach(code => {
+                        if (CODE_TERM_PATTERN.test(code.textContent)) add(code.textContent, section);
+                    });
+                    (element.textContent.match(IDENTIFIER_PATTERN) || []).forEach(term => add(term, section));
+                } else if (element.tagName === 'PRE' && section) {
+                    for (const declaration of element.textContent.matchAll(DECLARATION_PATTERN)) {
+                        add(declaration[1], section);
+                    }
+                }
+            });
+        });
+
+        return glossary;
+    }
+
+    // The first paragraph of the section a heading starts
+    function findSectionParagraph(heading) {
+        const level = Number(heading.tagName.substring(1));
+        for (let element = heading.nextElementSibling; element; element = element.nextElementSibling) {
+            if (/^H[1-6]$/.test(element.tagName) && Number(element.tagName.substring(1)) <= level) return null;
+            if (element.tagName === 'P') return element;
+        }
+        return null;
+    }
+
+    function glossaryExcerpt(paragraph) {
+        const text = paragraph ? paragraph.textContent.replace(/\s+/g, ' ').trim() : '';
+        return text.length > GLOSSARY_EXCERPT_LENGTH ?
+            text.substring(0, GLOSSARY_EXCERPT_LENGTH).replace(/\s+\S*$/, '') + '…' :
+            text;
+    }
+
+    function glossaryRoute(entry) {
+        return { chapterId: entry.chapter.id, sectionId: entry.sectionId };
+    }
+
+    // Link inline code that names a glossary term to the chapter explaining
+    // it. `ThemeCompiler::compile()` names ThemeCompiler too. Terms the
+    // chapter explains itself are not linked.
+    // Building the glossary loads every chapter, so a chapter does not wait
+    // for it: until it is built, it is built when the browser is idle and the
+    // terms are linked then.
+    function linkGlossaryTerms(contentDiv, chapterId) {
+        const codes = Array.from(contentDiv.querySelectorAll('code'));
+        if (builtGlossary) {
+            linkTerms(builtGlossary, codes, chapterId);
+            return;
+        }
+
+        scheduleIdle(() => {
+            getGlossary()
+                .then(glossary => {
+                    // The version was switched while the glossary was built
+                    if (glossary === builtGlossary) linkTerms(glossary, codes, chapterId);
+                })
+                .catch(error => console.error('Error building the glossary:', error));
+        });
+    }
+
+    function linkTerms(glossary, codes, chapterId) {
+        codes.forEach(code => {
+            // The chapter may have been replaced while the glossary was built
+            if (!code.isConnected || code.closest('pre, a, h1, h2, h3, h4, h5, h6, .viewer-ui')) return;
+
+            const entry = glossary.get(code.textContent.trim().replace(/(::|->|\().*$/, ''));
+            if (!entry || entry.chapter.id === chapterId) return;
+
+            const route = glossaryRoute(entry);
+            const link = document.createElement('a');
+            link.className = 'glossary-link';
+            link.href = formatRoute(route);
+            link.addEventListener('click', function (e) {
+                e.preventDefault();
+                hideGlossaryPreview();
+                navigate(route);
+            });
+            attachGlossaryPreview(link, entry);
+
+            code.parentNode.replaceChild(link, code);
+            link.appendChild(code);
+        });
+    }
+
+    function attachGlossaryPreview(link, entry) {
+        link.addEventListener('mouseenter', () => {
+            clearTimeout(glossaryPreviewTimer);
+            glossaryPreviewTimer = setTimeout(() => showGlossaryPreview(link, entry), GLOSSARY_PREVIEW_DELAY);
+        });
+        link.addEventListener('focus', () => showGlossaryPreview(link, entry));
+        link.addEventListener('mouseleave', hideGlossaryPreview);
+        link.addEventListener('blur', hideGlossaryPreview);
+        link.addEventListener('keydown', e => {
+            if (e.key === 'Escape') hideGlossaryPreview();
+        });
+    }
+
+    // One preview element is shared by all glossary links, below the link
+    function showGlossaryPreview(link, entry) {
+        if (!link.isConnected) return;
+
+        if (!glossaryPreview) {
+            glossaryPreview = document.createElement('div');
+            glossaryPreview.id = 'glossary-preview'; // a reserved id, see content-format.js
+            glossaryPreview.className = 'glossary-preview';
+            glossaryPreview.setAttribute('role', 'tooltip');
+            document.body.appendChild(glossaryPreview);
+        }
+
+        const source = [entry.group, entry.chapter.title, entry.heading].filter(Boolean).map(escapeHtml).join(' › ');
+        glossaryPreview.innerHTML = `
+            <p class="glossary-preview-source">${source}</p>
+            ${entry.excerpt ? `<p>${escapeHtml(entry.excerpt)}</p>` : ''}
+        `;
+
+        const rect = link.getBoundingClientRect();
+        const maxLeft = window.scrollX + document.documentElement.clientWidth - glossaryPreview.offsetWidth - 8;
+        glossaryPreview.style.top = `${rect.bottom + window.scrollY + 6}px`;
+        glossaryPreview.style.left = `${Math.max(8, Math.min(rect.left + window.scrollX, maxLeft))}px`;
+        glossaryPreview.hidden = false;
+        link.setAttribute('aria-describedby', glossaryPreview.id);
+    }
+
+    function hideGlossaryPreview() {
+        clearTimeout(glossaryPreviewTimer);
+        if (glossaryPreview) glossaryPreview.hidden = true;
+    }
+
+    // All glossary terms in alphabetical order, with a filter
+    async function showConceptsPage() {
+        const contentDiv = document.getElementById('markdown-content');
+        clearTableOfContents();
+        contentDiv.innerHTML = `
+            <div class="loading">
+                <h2>Collecting concepts...</h2>
+            </div>
+        `;
+
+        // Another view was opened while the glossary was built
+        const isShown = () => parseRoute(window.location.hash).view === 'concepts';
+
+        let glossary;
+        try {
+            glossary = await getGlossary();
+        } catch (error) {
+            console.error('Error building the glossary:', error);
+            if (!isShown()) return;
+
+            contentDiv.innerHTML = `
+                <div class="error">
+                    <h2>Error Loading Concepts</h2>
+                    <p>Could not collect the concepts of the tutorials: ${escapeHtml(error.message)}</p>
+                </div>
+            `;
+            announce('Could not load the concepts');
+            focusContentHeading(contentDiv);
+            return;
+        }
+        if (!isShown()) return;
+
+        const entries = Array.from(glossary.values())
+            .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+
+        contentDiv.innerHTML = `
+            <div class="concepts">
+                <h1>Concepts</h1>
+                <p>Classes and concepts the tutorials explain, with the chapter that explains them.</p>
+                <input type="search" class="concepts-filter" placeholder="Filter concepts..." aria-label="Filter concepts">
+                <dl class="concepts-list">
+                    ${entries.map(entry => `
+                        <div class="concepts-entry" data-term="${escapeHtml(entry.term.toLowerCase())}">
+                            <dt><a href="${escapeHtml(formatRoute(glossaryRoute(entry)))}">${CODE_TERM_PATTERN.test(entry.term) ? `<code>${escapeHtml(entry.term)}</code>` : escapeHtml(entry.term)}</a></dt>
+                            <dd>
+                                <span class="concepts-source">${[entry.group, entry.chapter.title, entry.heading].filter(Boolean).map(escapeHtml).join(' › ')}</span>
+                                ${entry.excerpt ? `<p>${escapeHtml(entry.excerpt)}</p>` : ''}
+                            </dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            </div>
+        `;
+
+        contentDiv.querySelectorAll('.concepts-list a').forEach(link => {
+            link.addEventListener('click', function (e) {
+                e.preventDefault();
+                navigate(parseRoute(this.getAttribute('href')));
+            });
+        });
+
+        const filter = contentDiv.querySelector('.concepts-filter');
+        filter.addEventListener('input', () => {
+            const text = filter.value.trim().toLowerCase();
+            contentDiv.querySelectorAll('.concepts-entry').forEach(element => {
+                element.hidden = text !== '' && !element.dataset.term.includes(text);
+            });
+        });
+    }
+
+    // Search functions used by the router, set up by setupSearch()
+    let search = null;
+
+    // Offline copy of the chapters, set up by setupOfflineSupport()
+    let offline = null;
+
+    // The URL hash holds the whole view state, so it survives a reload and
+    // works with the browser's back/forward buttons:
+    //
+    //   #sw.storefront-ch3                       a chapter
+    //   #sw.storefront-ch3/key-concepts          a section of a chapter
+    //   #?q=PageLoader&ww=1&re=1                 search results (ww = whole word, re = regex)
+    //   #sw.storefront-ch4?q=PageLoader&at=812   a chapter with the matches of a search
+    //                                            highlighted, "at" is the focused match
+    //   #?print=Storefront                       all chapters of a tutorial, ready to print
+    //   #?view=concepts                          the glossary of all tutorials
+    //   #sw.storefront-ch3?compare=6.5           a chapter compared with another version
+    //                                            ("file" compares it with a local file)
+    //   #sw.storefront-ch3?v=6.5                 any view in an older version (v is left
+    //                                            out for the latest version)
+    function parseRoute(hash) {
+        const raw = hash.replace(/^#/, '');
+        const queryStart = raw.indexOf('?');
+        const target = queryStart === -1 ? raw : raw.substring(0, queryStart);
+        const params = new URLSearchParams(queryStart === -1 ? '' : raw.substring(queryStart + 1));
+        const [chapterId, sectionId] = target.split('/');
+
+        return {
+            chapterId: chapterId || null,
+            sectionId: sectionId || null,
+            query: params.get('q') || null,
+            wholeWord: params.get('ww') === '1',
+            regex: params.get('re') === '1',
+            position: params.has('at') ? parseInt(params.get('at'), 10) : null,
+            print: params.get('print') || null,
+            compare: params.get('compare') || null,
+            view: params.get('view') || null,
+            version: params.get('v') || null
+        };
+    }
+
+    // Routes without a version stay in the version that is shown
+    function formatRoute(route) {
+        const params = new URLSearchParams();
+        let hash = '#';
+
+        if (route.print) {
+            params.set('print', route.print);
+        } else if (route.view) {
+            params.set('view', route.view);
+        } else {
+            hash += route.chapterId || '';
+            if (route.chapterId && route.sectionId) hash += '/' + route.sectionId;
+
+            if (route.query) {
+                params.set('q', route.query);
+                if (route.wholeWord) params.set('ww', '1');
+                if (route.regex) params.set('re', '1');
+                if (route.chapterId && Number.isInteger(route.position)) params.set('at', route.position);
+            }
+            if (route.chapterId && route.compare) params.set('compare', route.compare);
+        }
+
+        const version = route.version || (currentVersion && currentVersion.id);
+        if (version && version !== versions[0].id) params.set('v', version);
+
+        const query = params.toString();
+        return query ? hash + '?' + query : hash;
+    }
+
+    // Go to a new view and add it to the browser history
+    function navigate(route) {
+        hasNavigated = true;
+        const hash = formatRoute(route);
+        if (hash !== window.location.hash) {
+            history.pushState(null, '', hash);
+        }
+        applyRoute(parseRoute(hash));
+    }
+
+    // Update the URL of the current view without adding a history entry
+    function replaceRoute(route) {
+        history.replaceState(null, '', formatRoute(route));
+    }
+
+    function findChapterById(chapterId) {
+        for (const groupName in tutorialGroups) {
+            const chapter = tutorialGroups[groupName].find(ch => ch.id === chapterId);
+            if (chapter) return chapter;
+        }
+        return null;
+    }
+
+    // Show the view described by a route
+    async function applyRoute(route) {
+        const view = ++viewCount;
+        closeSidebarDrawer(false);
+        notifyHooks('navigate', route);
+
+        const version = findVersion(route.version) || versions[0];
+        if (version !== currentVersion && (!await switchVersion(version) || view !== viewCount)) {
+            return;
+        }
+
+        if (route.print && tutorialGroups[route.print]) {
+            activateSidebarLink(null);
+            showPrintView(route.print);
+            return;
+        }
+
+        if (route.view === 'concepts') {
+            activateSidebarLink(null);
+            document.getElementById('concepts-link').classList.add('active');
+            showConceptsPage();
+            return;
+        }
+
+        let chapter = findChapterById(route.chapterId);
+
+        // A chapter the version does not have falls back to the overview of its tutorial
+        if (!chapter && route.chapterId) {
+            chapter = findChapterById(route.chapterId.replace(/-ch\d+$/, '-index'));
+            if (chapter) {
+                route = { chapterId: chapter.id };
+                replaceRoute(route);
+            }
+        }
+
+        if (chapter) {
+            activateSidebarLink(chapter.id);
+            if (route.compare) {
+                showCompareView(chapter, route.compare);
+            } else if (route.query) {
+                search.openChapterWithMatches(chapter, route);
+            } else {
+                renderChapter(chapter.path, { sectionId: route.sectionId });
+            }
+            return;
+        }
+
+        if (route.query) {
+            activateSidebarLink(null);
+            search.showResults(route);
+            return;
+        }
+
+        // Returning readers get their reading history
+        if (showLanding()) {
+            activateSidebarLink(null);
+            return;
+        }
+
+        // Default to first tutorial's first chapter
+        const firstChapter = tutorialGroups[Object.keys(tutorialGroups)[0]][0];
+        activateSidebarLink(firstChapter.id);
+        renderChapter(firstChapter.path);
+    }
+
+    // Load initial chapter based on hash or default to first tutorial's index
+    function loadInitialChapter() {
+        applyRoute(parseRoute(window.location.hash));
+
+        // Back/forward and manual edits of the hash
+        window.addEventListener('popstate', () => {
+            hasNavigated = true;
+            applyRoute(parseRoute(window.location.hash));
+        });
+    }
+
+    // Add search functionality
+    function setupSearch() {
+        const searchInput = document.getElementById('search-input');
+        const searchButton = document.getElementById('search-button');
+        const wholeWordToggle = document.getElementById('search-whole-word');
+        const regexToggle = document.getElementById('search-regex');
+
+        // Inverted index over all chapters of the version shown, built on first use
+        let searchIndex = null;
+        let searchIndexPromise = null;
+
+        // Ranking parameters: BM25 constants and how much more a term counts
+        // when it appears in a heading or the chapter title than in body text
+        const BM25_K1 = 1.2;
+        const BM25_B = 0.75;
+        const HEADING_WEIGHT = 3;
+        const TITLE_WEIGHT = 5;
+        const PREFIX_MATCH_FACTOR = 0.5;
+        const MAX_SNIPPETS_PER_RESULT = 3;
+
+        // The search behind the results currently shown ({ query, wholeWord, regex }),
+        // its matches are highlighted in the chapter that is opened from them
+        let lastSearch = null;
+
+        // Matches highlighted in the current chapter ({ start, marks }), the one
+        // in focus and the route of the chapter they belong to
+        let chapterMatches = [];
+        let currentMatch = -1;
+        let matchRoute = null;
+
+        // Live results dropdown shown while typing
+        const searchDropdown = document.getElementById('search-dropdown');
+        const LIVE_SEARCH_DELAY = 200; // ms after the last keystroke
+        const MAX_LIVE_RESULTS = 5;
+        const MAX_LIVE_HEADINGS = 2;
+        let liveSearchTimer = null;
+        let dropdownOptions = [];
+        let activeOption = -1;
+
+        // Function to perform search: the results page is a route of its own
+        function performSearch() {
+            const searchTerm = searchInput.value.trim();
+            if (!searchTerm) return;
+
+            navigate({
+                query: searchTerm,
+                wholeWord: wholeWordToggle.checked,
+                regex: regexToggle.checked
+            });
+        }
+
+        // Show the results page of a search route
+        async function showResults(route) {
+            const searchTerm = route.query;
+
+            // Reflect the search in the form, e.g. after a reload or back/forward
+            searchInput.value = searchTerm;
+            wholeWordToggle.checked = route.wholeWord;
+            regexToggle.checked = route.regex;
+
+            // Show loading indicator (only visible while the index is being built)
+            clearTableOfContents();
+            document.getElementById('markdown-content').innerHTML = `
+                <div class="loading">
+                    <h2>Searching...</h2>
+                    <p>Looking for "${escapeHtml(searchTerm)}" in all tutorials.</p>
+                </div>
+            `;
+            announce(`Searching for "${searchTerm}"…`);
+
+            let query;
+            try {
+                query = parseQuery(searchTerm, route);
+            } catch (error) {
+                document.getElementById('markdown-content').innerHTML = `
+                    <div class="error">
+                        <h2>Invalid Search</h2>
+                        <p>${escapeHtml(error.message)}</p>
+                    </div>
+                `;
+                announce(`Invalid search: ${error.message}`);
+                return;
+            }
+
+            // Another view may be opened while the index is built
+            const view = viewCount;
+            const index = await getSearchIndex();
+            if (view !== viewCount) return;
+
+            lastSearch = { query: searchTerm, wholeWord: route.wholeWord, regex: route.regex };
+            displaySearchResults(searchTerm, searchInIndex(index, query));
+        }
+
+        // Parse the search input into a query.
+        //
+        //   PageLoader event      both terms must appear (AND)
+        //   "page loader"         exact phrase
+        //   -captcha              chapters containing the term are excluded
+        //   tutorial:storefront   only search tutorials whose name contains the value
+        //   in:code / in:heading  only match inside code blocks / headings
+        //
+        // In regex mode everything except the filters is one regular expression.
+        function parseQuery(input, options) {
+            const query = {
+                clauses: [],     // regular expressions that must all match
+                exclusions: [],  // regular expressions that must not match
+                terms: [],       // plain words used for ranking
+                tutorials: [],
+                scopes: []
+            };
+
+            const tokenPattern = /(-?)(?:(tutorial|in):)?(?:"([^"]*)"?|(\S+))/gi;
+            const freeText = [];
+            let match;
+
+            while ((match = tokenPattern.exec(input)) !== null) {
+                const [raw, negated, filter, phrase, word] = match;
+                const value = phrase !== undefined ? phrase : word;
+                if (!value) continue;
+
+                if (filter) {
+                    const key = filter.toLowerCase();
+                    if (key === 'tutorial') {
+                        query.tutorials.push(value.toLowerCase());
+                    } else if (value.toLowerCase() === 'code' || value.toLowerCase() === 'heading') {
+                        query.scopes.push(value.toLowerCase());
+                    } else {
+                        throw new Error(`Unknown scope "in:${value}". Use in:code or in:heading.`);
+                    }
+                    continue;
+                }
+
+                if (options.regex) {
+                    freeText.push(raw);
+                    continue;
+                }
+
+                const regexp = buildTermRegExp(value, options.wholeWord);
+                if (negated) {
+                    query.exclusions.push(regexp);
+                } else {
+                    query.clauses.push(regexp);
+                    query.terms.push(value);
+                }
+            }
+
+            if (options.regex && freeText.length > 0) {
+                const source = freeText.join(' ');
+                // An invalid pattern throws a SyntaxError that is shown to the user
+                query.clauses.push(new RegExp(options.wholeWord ? `\\b(?:${source})\\b` : source, 'gi'));
+                query.terms.push(source);
+            }
+
+            if (query.clauses.length === 0) {
+                throw new Error('The search needs at least one term that is not an exclusion or filter.');
+            }
+
+            return query;
+        }
+
+        // Build a case-insensitive regular expression matching a literal term
+        function buildTermRegExp(term, wholeWord) {
+            const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+            return new RegExp(wholeWord ? `\\b${escaped}\\b` : escaped, 'gi');
+        }
+
+        // Return the search index, building it on first use
+        function getSearchIndex() {
+            if (searchIndex) return Promise.resolve(searchIndex);
+
+            if (!searchIndexPromise) {
+                const allChapters = [];
+                for (const groupName in tutorialGroups) {
+                    tutorialGroups[groupName].forEach(chapter => {
+                        allChapters.push({ chapter, group: groupName });
+                    });
+                }
+
+                const promise = buildSearchIndex(allChapters).then(index => {
+                    // A version switch while building makes this index stale
+                    if (searchIndexPromise === promise) searchIndex = index;
+                    return index;
+                });
+                searchIndexPromise = promise;
+            }
+
+            return searchIndexPromise;
+        }
+
+        // Split text into lowercase search tokens. Identifiers such as
+        // "StorefrontController" or "page_loader" are indexed both as a whole
+        // and as their parts, so "controller" finds them as well.
+        function tokenize(text) {
+            const tokens = [];
+            const words = text.match(/[A-Za-z0-9_]+/g) || [];
+
+            for (const word of words) {
+                const lower = word.toLowerCase();
+                tokens.push(lower);
+
+                const parts = word
+                    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+                    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+                    .split(/[\s_]+/)
+                    .filter(Boolean);
+
+                if (parts.length > 1) {
+                    parts.forEach(part => tokens.push(part.toLowerCase()));
+                }
+            }
+
+            return tokens;
+        }
+
+        // Fetch every chapter once and build the inverted index
+        async function buildSearchIndex(entries) {
+            const documents = [];
+            const postings = new Map(); // term -> Map(document index -> weighted term frequency)
 
-            // Add chapters to the group
-            tutorialGroups[groupName].forEach(chapter => {
-                const li = document.createElement('li');
-                const a = document.createElement('a');
-                a.href = '#' + chapter.id;
-                a.textContent = chapter.title;
-                a.dataset.path = chapter.path;
-                a.addEventListener('click', function (e) {
-                    e.preventDefault();
-                    loadChapter(chapter.path);
+            const contents = await Promise.all(entries.map(async ({ chapter }) => {
+                try {
+                    return await loadContent(chapter.path);
+                } catch (error) {
+                    console.warn(`Error indexing ${chapter.path}:`, error);
+                    return null;
+                }
+            }));
 
-                    // Update active state
-                    document.querySelectorAll('#chapter-list a').forEach(link => {
-                        link.classList.remove('active');
-                    });
-                    this.classList.add('active');
+            // Index the rendered and transformed text, so match positions can
+            // be found again in the rendered chapter
+            const parser = new DOMParser();
+            const bodies = await Promise.all(entries.map(async ({ chapter }, i) => {
+                if (contents[i] === null) return null;
 
-                    // Update URL hash
-                    window.location.hash = chapter.id;
-                });
-                li.appendChild(a);
-                groupList.appendChild(li);
-            });
+                const context = { chapter, path: chapter.path, view: 'search' };
+                const body = parser.parseFromString(renderMarkdown(contents[i], context), 'text/html').body;
+                addHeadingAnchors(body, null);
+                await runTransforms(body, context);
+                return body;
+            }));
 
-            chapterList.appendChild(groupList);
+            entries.forEach(({ chapter, group }, i) => {
+                if (bodies[i] === null) return;
 
-            // Add toggle functionality
-            const toggleElement = groupHeader.querySelector('.group-header-toggle');
-            toggleElement.addEventListener('click', function () {
-                groupList.classList.toggle('collapsed');
-                const icon = this.querySelector('.toggle-icon');
-                icon.textContent = groupList.classList.contains('collapsed') ? '►' : '▼';
-            });
-        });
-    }
+                const { text, nodes, headingRanges, codeRanges } = extractRenderedText(bodies[i]);
+
+                const docIndex = documents.length;
+                const frequencies = new Map();
+                let length = 0;
 
-    // Function to load chapter content
-    function loadChapter(path) {
-        fetch(path)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Network response was not ok');
+                function addTokens(text, weight) {
+                    for (const token of tokenize(text)) {
+                        frequencies.set(token, (frequencies.get(token) || 0) + weight);
+                        length += weight;
+                    }
                 }
-                return response.text();
-            })
-            .then(markdown => {
-                // Parse markdown to HTML
-                const html = marked.parse(markdown);
-                document.getElementById('markdown-content').innerHTML = html;
 
-                // Process any mermaid diagrams
-                if (typeof mermaid !== 'undefined') {
-                    mermaid.init(undefined, document.querySelectorAll('.language-mermaid'));
+                addTokens(chapter.title, TITLE_WEIGHT);
+
+                for (const { node } of nodes) {
+                    const isHeading = node.parentElement.closest('h1, h2, h3, h4, h5, h6') !== null;
+                    addTokens(node.nodeValue, isHeading ? HEADING_WEIGHT : 1);
                 }
 
-                // Add link handling for internal markdown links
-                document.querySelectorAll('#markdown-content a').forEach(link => {
-                    const href = link.getAttribute('href');
-                    if (href && href.endsWith('.md')) {
-                        link.addEventListener('click', function (e) {
-                            e.preventDefault();
-
-                            // Find the directory of the current path
-                            const currentDir = path.substring(0, path.lastIndexOf('/') + 1);
-                            const targetPath = currentDir + href;
-
-                            loadChapter(targetPath);
-
-                            // Try to find and highlight the corresponding sidebar link
-                            const sidebarLink = Array.from(document.querySelectorAll('#chapter-list a')).find(
-                                a => a.dataset.path === targetPath
-                            );
-
-                            if (sidebarLink) {
-                                document.querySelectorAll('#chapter-list a').forEach(a => {
-                                    a.classList.remove('active');
-                                });
-                                sidebarLink.classList.add('active');
-                                window.location.hash = sidebarLink.getAttribute('href').substring(1);
-
-                                // Ensure the parent group is expanded
-                                const parentGroup = sidebarLink.closest('.tutorial-group-chapters');
-                                if (parentGroup && parentGroup.classList.contains('collapsed')) {
-                                    const toggleIcon = parentGroup.previousElementSibling.querySelector('.toggle-icon');
-                                    parentGroup.classList.remove('collapsed');
-                                    toggleIcon.textContent = '▼';
-                                }
-                            }
-                        });
-                    }
+                frequencies.forEach((frequency, term) => {
+                    if (!postings.has(term)) postings.set(term, new Map());
+                    postings.get(term).set(docIndex, frequency);
                 });
-            })
-            .catch(error => {
-                console.error('Error loading chapter:', error);
-                document.getElementById('markdown-content').innerHTML = `
-                    <div class="error">
-                        <h2>Error Loading Content</h2>
-                        <p>Could not load the requested chapter. Please check if the file exists at: ${path}</p>
-                    </div>
-                `;
-            });
-    }
 
-    // Load initial chapter based on hash or default to first tutorial's index
-    function loadInitialChapter() {
-        const hash = window.location.hash.substring(1);
+                documents.push({ chapter, group, content: text, length, headingRanges, codeRanges });
+            });
 
-        // Find the chapter that matches the hash across all groups
-        let targetChapter = null;
-        let targetGroupName = null;
+            const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
 
-        for (const groupName in tutorialGroups) {
-            const foundChapter = tutorialGroups[groupName].find(ch => ch.id === hash);
-            if (foundChapter) {
-                targetChapter = foundChapter;
-                targetGroupName = groupName;
-                break;
-            }
+            return {
+                documents,
+                postings,
+                averageLength: documents.length ? totalLength / documents.length : 0
+            };
         }
 
-        // Default to first tutorial's first chapter if no match
-        if (!targetChapter) {
-            targetGroupName = Object.keys(tutorialGroups)[0];
-            targetChapter = tutorialGroups[targetGroupName][0];
-        }
+        // Rank all indexed chapters against the query using BM25
+        function searchInIndex(index, query) {
+            const scores = new Map();
+            const queryTerms = [...new Set(query.terms.flatMap(term => tokenize(term)))];
+            const documentCount = index.documents.length;
+
+            for (const queryTerm of queryTerms) {
+                // Exact term matches count fully, longer terms starting with
+                // the query term (e.g. "pageload" -> "pageloader") count less
+                const matchingTerms = [];
+                index.postings.forEach((docs, term) => {
+                    if (term === queryTerm) {
+                        matchingTerms.push({ docs, factor: 1 });
+                    } else if (term.startsWith(queryTerm)) {
+                        matchingTerms.push({ docs, factor: PREFIX_MATCH_FACTOR });
+                    }
+                });
 
-        // Find and activate the link
-        const link = document.querySelector(`a[href="#${targetChapter.id}"]`);
-        if (link) {
-            link.classList.add('active');
+                for (const { docs, factor } of matchingTerms) {
+                    const idf = Math.log(1 + (documentCount - docs.size + 0.5) / (docs.size + 0.5));
 
-            // Make sure the group containing the active link is expanded
-            const parentGroup = link.closest('.tutorial-group-chapters');
-            if (parentGroup) {
-                parentGroup.classList.remove('collapsed');
-                const toggleIcon = parentGroup.previousElementSibling.querySelector('.toggle-icon');
-                if (toggleIcon) {
-                    toggleIcon.textContent = '▼';
+                    docs.forEach((frequency, docIndex) => {
+                        const doc = index.documents[docIndex];
+                        const norm = BM25_K1 * (1 - BM25_B + BM25_B * doc.length / index.averageLength);
+                        const score = factor * idf * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+                        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+                    });
                 }
             }
 
-            loadChapter(targetChapter.path);
-        }
-    }
+            const results = [];
+            index.documents.forEach((doc, docIndex) => {
+                if (query.tutorials.length > 0) {
+                    const names = `${doc.group} ${doc.chapter.path}`.toLowerCase();
+                    if (!query.tutorials.some(name => names.includes(name))) return;
+                }
 
-    // Add search functionality
-    function setupSearch() {
-        const searchInput = document.getElementById('search-input');
-        const searchButton = document.getElementById('search-button');
+                const ranges = scopeRanges(doc, query.scopes);
 
-        // Function to perform search
-        function performSearch() {
-            const searchTerm = searchInput.value.trim().toLowerCase();
-            if (!searchTerm) return;
+                // Every clause has to match, no exclusion may match
+                const clauseMatches = query.clauses.map(regexp => findOccurrences(doc.content, regexp, ranges));
+                if (clauseMatches.some(occurrences => occurrences.length === 0)) return;
+                if (query.exclusions.some(regexp => findOccurrences(doc.content, regexp, ranges).length > 0)) return;
 
-            // Show loading indicator
-            document.getElementById('markdown-content').innerHTML = `
-                <div class="loading">
-                    <h2>Searching...</h2>
-                    <p>Looking for "${searchTerm}" in all tutorials.</p>
-                </div>
-            `;
+                const occurrences = clauseMatches.flat().sort((a, b) => a.start - b.start);
 
-            // Collect all chapters to search
-            const allChapters = [];
-            for (const groupName in tutorialGroups) {
-                allChapters.push(...tutorialGroups[groupName]);
+                results.push({
+                    chapter: doc.chapter,
+                    // Regex-only queries have no ranked terms, order them by match count
+                    score: (scores.get(docIndex) || 0) + occurrences.length / 1000,
+                    matches: findMatchesWithContext(doc.content, occurrences),
+                    headings: findMatchingHeadings(doc, occurrences)
+                });
+            });
+
+            return results.sort((a, b) => b.score - a.score);
+        }
+
+        // Headings of a document that contain at least one occurrence
+        function findMatchingHeadings(doc, occurrences) {
+            const headings = [];
+
+            for (const [from, to] of doc.headingRanges) {
+                const occurrence = occurrences.find(({ start, end }) => start >= from && end <= to);
+                if (occurrence) {
+                    headings.push({
+                        text: doc.content.substring(from, to).trim(),
+                        term: doc.content.substring(occurrence.start, occurrence.end),
+                        position: occurrence.start
+                    });
+                }
             }
 
-            // Search through all chapters
-            searchInChapters(searchTerm, allChapters);
+            return headings;
         }
 
-        // Search in all chapters
-        async function searchInChapters(searchTerm, chapters) {
-            const results = [];
+        // Ranges of the document the query is restricted to (null = everywhere)
+        function scopeRanges(doc, scopes) {
+            if (scopes.length === 0) return null;
 
-            for (const chapter of chapters) {
-                try {
-                    const response = await fetch(chapter.path);
-                    if (response.ok) {
-                        const content = await response.text();
-
-                        // Check if search term exists in content
-                        if (content.toLowerCase().includes(searchTerm)) {
-                            // Find the context around matches
-                            const matches = findMatchesWithContext(content, searchTerm);
-
-                            results.push({
-                                chapter: chapter,
-                                matches: matches
-                            });
-                        }
-                    }
-                } catch (error) {
-                    console.warn(`Error searching in ${chapter.path}:`, error);
+            const ranges = [];
+            if (scopes.includes('code')) ranges.push(...doc.codeRanges);
+            if (scopes.includes('heading')) ranges.push(...doc.headingRanges);
+            return ranges;
+        }
+
+        // All occurrences of a regular expression, optionally limited to ranges
+        function findOccurrences(content, regexp, ranges) {
+            const occurrences = [];
+            regexp.lastIndex = 0;
+
+            let match;
+            while ((match = regexp.exec(content)) !== null) {
+                if (match[0].length === 0) {
+                    regexp.lastIndex++;
+                    continue;
+                }
+
+                const start = match.index;
+                const end = start + match[0].length;
+                if (!ranges || ranges.some(([from, to]) => start >= from && end <= to)) {
+                    occurrences.push({ start, end });
                 }
             }
 
-            // Display results
-            displaySearchResults(searchTerm, results);
+            return occurrences;
         }
 
-        // Find matches with surrounding context
-        function findMatchesWithContext(content, searchTerm) {
+        // Find matches with surrounding context. Occurrences that are close
+        // together share one snippet, and every occurrence in a snippet is
+        // highlighted.
+        function findMatchesWithContext(content, occurrences) {
             const matches = [];
-            const lowerContent = content.toLowerCase();
-            const searchTermLower = searchTerm.toLowerCase();
             const contextLength = 100; // Characters of context before and after match
 
-            let startPos = 0;
-            let pos;
+            let i = 0;
+            while (i < occurrences.length) {
+                const first = occurrences[i];
 
-            while ((pos = lowerContent.indexOf(searchTermLower, startPos)) !== -1) {
                 // Get context around match
-                const contextStart = Math.max(0, pos - contextLength);
-                const contextEnd = Math.min(content.length, pos + searchTermLower.length + contextLength);
-                let context = content.substring(contextStart, contextEnd);
+                const contextStart = Math.max(0, first.start - contextLength);
+                const contextEnd = Math.min(content.length, first.end + contextLength);
+                const prefix = contextStart > 0 ? '...' : '';
+                let context = prefix + content.substring(contextStart, contextEnd);
 
                 // Add ellipsis if needed
-                if (contextStart > 0) context = '...' + context;
                 if (contextEnd < content.length) context = context + '...';
 
-                // Calculate position of match within context
-                const matchPosInContext = pos - contextStart + (contextStart > 0 ? 3 : 0); // Adjust for ellipsis
+                // Collect every occurrence that fits into this snippet
+                const highlights = [];
+                let lastEnd = -1;
+                while (i < occurrences.length && occurrences[i].end <= contextEnd) {
+                    const occurrence = occurrences[i];
+                    if (occurrence.start >= lastEnd) {
+                        highlights.push({
+                            start: occurrence.start - contextStart + prefix.length,
+                            length: occurrence.end - occurrence.start
+                        });
+                        lastEnd = occurrence.end;
+                    }
+                    i++;
+                }
 
                 matches.push({
                     context: context,
-                    matchPos: matchPosInContext,
-                    matchLength: content.substring(pos, pos + searchTermLower.length).length, // Use actual case from content
-                    position: pos // Store original position for scrolling
+                    highlights: highlights,
+                    position: first.start // Offset in the rendered text, used for scrolling
                 });
-
-                startPos = pos + searchTermLower.length;
             }
 
             return matches;
@@ -440,87 +3766,80 @@ document.addEventListener('DOMContentLoaded', function () {
                 contentDiv.innerHTML = `
                     <div class="no-results">
                         <h2>No Results Found</h2>
-                        <p>Your search for "${searchTerm}" did not match any content in the tutorials.</p>
+                        <p>Your search for "${escapeHtml(searchTerm)}" did not match any content in the tutorials.</p>
                     </div>
                 `;
+                announce(`No results for "${searchTerm}"`);
                 return;
             }
 
             // Build results HTML
             let html = `
-                <h1>Search Results for "${searchTerm}"</h1>
+                <h1>Search Results for "${escapeHtml(searchTerm)}"</h1>
                 <p>Found matches in ${results.length} chapter(s).</p>
             `;
 
             for (const result of results) {
                 html += `
                     <div class="search-result">
-                        <h2><a href="#${result.chapter.id}" class="chapter-link" data-path="${result.chapter.path}">${result.chapter.title}</a></h2>
+                        <h2><a href="#${escapeHtml(result.chapter.id)}" class="chapter-link">${escapeHtml(result.chapter.title)}</a></h2>
                         <ul class="match-list">
                 `;
 
-                for (let i = 0; i < result.matches.length; i++) {
+                const shownMatches = Math.min(result.matches.length, MAX_SNIPPETS_PER_RESULT);
+                for (let i = 0; i < shownMatches; i++) {
                     const match = result.matches[i];
-                    // Highlight the match in the context
-                    const beforeMatch = match.context.substring(0, match.matchPos);
-                    const matchText = match.context.substring(match.matchPos, match.matchPos + match.matchLength);
-                    const afterMatch = match.context.substring(match.matchPos + match.matchLength);
+
+                    // Highlight every occurrence in the context
+                    let contextHtml = '';
+                    let cursor = 0;
+                    for (const highlight of match.highlights) {
+                        contextHtml += escapeHtml(match.context.substring(cursor, highlight.start));
+                        contextHtml += `<span class="search-highlight">${escapeHtml(match.context.substr(highlight.start, highlight.length))}</span>`;
+                        cursor = highlight.start + highlight.length;
+                    }
+                    contextHtml += escapeHtml(match.context.substring(cursor));
 
                     html += `
-                        <li class="match-context" data-path="${result.chapter.path}" data-position="${match.position}" data-index="${i}">
-                            ${beforeMatch}<span class="search-highlight">${matchText}</span>${afterMatch}
+                        <li class="match-context" data-chapter="${escapeHtml(result.chapter.id)}" data-position="${match.position}">
+                            ${contextHtml}
                         </li>
                     `;
                 }
 
                 html += `
                         </ul>
+                `;
+
+                if (result.matches.length > shownMatches) {
+                    html += `<p class="more-matches">${result.matches.length - shownMatches} more match(es) in this chapter</p>`;
+                }
+
+                html += `
                     </div>
                 `;
             }
 
             contentDiv.innerHTML = html;
+            announce(`Found matches in ${results.length} chapter(s)`);
 
             // Add click handlers to chapter links
             document.querySelectorAll('.chapter-link').forEach(link => {
                 link.addEventListener('click', function (e) {
                     e.preventDefault();
-                    const path = this.dataset.path;
-                    const id = this.getAttribute('href').substring(1);
-
-                    // Load the chapter
-                    loadChapter(path);
-
-                    // Update active state in sidebar
-                    document.querySelectorAll('#chapter-list a').forEach(sidebarLink => {
-                        sidebarLink.classList.remove('active');
-                        if (sidebarLink.getAttribute('href') === `#${id}`) {
-                            sidebarLink.classList.add('active');
-
-                            // Ensure parent group is expanded
-                            const parentGroup = sidebarLink.closest('.tutorial-group-chapters');
-                            if (parentGroup && parentGroup.classList.contains('collapsed')) {
-                                parentGroup.classList.remove('collapsed');
-                                const toggleIcon = parentGroup.previousElementSibling.querySelector('.toggle-icon');
-                                toggleIcon.textContent = '▼';
-                            }
-                        }
-                    });
-
-                    // Update URL hash
-                    window.location.hash = id;
+                    navigate({ chapterId: this.getAttribute('href').substring(1) });
                 });
             });
 
             // Add click handlers to match contexts
             document.querySelectorAll('.match-context').forEach(matchItem => {
                 matchItem.addEventListener('click', function () {
-                    const path = this.dataset.path;
-                    const position = parseInt(this.dataset.position);
-                    const matchIndex = parseInt(this.dataset.index);
-
-                    // Load the chapter and scroll to the match position
-                    loadChapterAndScrollToMatch(path, position, matchIndex);
+                    // Open the chapter and scroll to the match position
+                    navigate({
+                        ...lastSearch,
+                        chapterId: this.dataset.chapter,
+                        position: parseInt(this.dataset.position)
+                    });
                 });
 
                 // Add cursor pointer to indicate clickable
@@ -528,145 +3847,521 @@ document.addEventListener('DOMContentLoaded', function () {
             });
         }
 
-        // Function to load chapter and scroll to match
-        function loadChapterAndScrollToMatch(path, position, matchIndex) {
-            fetch(path)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error('Network response was not ok');
-                    }
-                    return response.text();
-                })
-                .then(markdown => {
-                    // Parse markdown to HTML
-                    const html = marked.parse(markdown);
-                    document.getElementById('markdown-content').innerHTML = html;
-
-                    // Process any mermaid diagrams
-                    if (typeof mermaid !== 'undefined') {
-                        mermaid.init(undefined, document.querySelectorAll('.language-mermaid'));
-                    }
+        // Show a chapter with the matches of a search route highlighted
+        function openChapterWithMatches(chapter, route) {
+            let query;
+            try {
+                query = parseQuery(route.query, route);
+            } catch (error) {
+                // A hand-edited URL with an invalid query still shows the chapter
+                renderChapter(chapter.path);
+                return;
+            }
 
-                    // Find the match in the rendered content
-                    const contentText = document.getElementById('markdown-content').textContent;
+            searchInput.value = route.query;
+            wholeWordToggle.checked = route.wholeWord;
+            regexToggle.checked = route.regex;
+            lastSearch = { query: route.query, wholeWord: route.wholeWord, regex: route.regex };
+            matchRoute = { ...lastSearch, chapterId: chapter.id };
 
-                    // Try to find a close approximation of where to scroll
-                    // This is challenging because markdown-to-HTML conversion changes character positions
-                    setTimeout(() => {
-                        highlightAndScrollToMatch(contentText, position, matchIndex);
-                    }, 100);
+            renderChapter(chapter.path, { markMatches: () => highlightMatches(query, route.position || 0) });
+        }
 
-                    // Add link handling for internal markdown links
-                    document.querySelectorAll('#markdown-content a').forEach(link => {
-                        // ... existing link handling code ...
-                    });
-                })
-                .catch(error => {
-                    console.error('Error loading chapter:', error);
-                    document.getElementById('markdown-content').innerHTML = `
-                        <div class="error">
-                            <h2>Error Loading Content</h2>
-                            <p>Could not load the requested chapter. Please check if the file exists at: ${path}</p>
-                        </div>
-                    `;
-                });
+        // Highlight every occurrence of the query in the rendered chapter and
+        // focus the one at the given offset of the rendered text
+        function highlightMatches(query, position) {
+            const contentDiv = document.getElementById('markdown-content');
+            const rendered = extractRenderedText(contentDiv);
+            const ranges = scopeRanges(rendered, query.scopes);
+
+            // Same rules as the search itself, overlapping occurrences are merged
+            const occurrences = query.clauses
+                .flatMap(regexp => findOccurrences(rendered.text, regexp, ranges))
+                .sort((a, b) => a.start - b.start)
+                .filter((occurrence, i, all) => i === 0 || occurrence.start >= all[i - 1].end);
+
+            chapterMatches = new Array(occurrences.length);
+            for (let i = occurrences.length - 1; i >= 0; i--) {
+                chapterMatches[i] = {
+                    start: occurrences[i].start,
+                    marks: wrapRenderedText(rendered.nodes, occurrences[i].start, occurrences[i].end, 'search-highlight in-content')
+                };
+            }
+
+            if (occurrences.length === 0) return;
+
+            // The clicked occurrence, or the first one after it if it moved
+            let target = occurrences.findIndex(occurrence => occurrence.start >= position);
+            if (target === -1) target = occurrences.length - 1;
+
+            showMatchNavigation();
+            focusMatch(target);
         }
 
-        // Function to highlight and scroll to match in rendered content
-        function highlightAndScrollToMatch(contentText, originalPosition, matchIndex) {
-            // Get all text nodes in the content
+        // Counter with previous/next buttons for the highlighted matches
+        function showMatchNavigation() {
+            const navigation = document.createElement('div');
+            navigation.className = 'match-navigation viewer-ui';
+            navigation.innerHTML = `
+                <span class="match-counter" aria-live="polite"></span>
+                <button type="button" class="match-previous" title="Previous match">▲</button>
+                <button type="button" class="match-next" title="Next match">▼</button>
+                <button type="button" class="match-close" title="Clear highlights">✕</button>
+            `;
+
+            navigation.querySelector('.match-previous').addEventListener('click', () => focusMatch(currentMatch - 1));
+            navigation.querySelector('.match-next').addEventListener('click', () => focusMatch(currentMatch + 1));
+            navigation.querySelector('.match-close').addEventListener('click', clearMatches);
+
             const contentDiv = document.getElementById('markdown-content');
-            const textNodes = [];
+            contentDiv.insertBefore(navigation, contentDiv.firstChild);
+        }
+
+        function focusMatch(i) {
+            if (chapterMatches.length === 0) return;
+
+            // Wrap around at both ends
+            currentMatch = (i + chapterMatches.length) % chapterMatches.length;
+
+            chapterMatches.forEach((match, j) => {
+                match.marks.forEach(mark => mark.classList.toggle('current', j === currentMatch));
+            });
+
+            // Keep the focused match in the URL
+            replaceRoute({ ...matchRoute, position: chapterMatches[currentMatch].start });
+
+            chapterMatches[currentMatch].marks[0].scrollIntoView({
+                behavior: 'smooth',
+                block: 'center'
+            });
+
+            const counter = document.querySelector('#markdown-content .match-counter');
+            if (counter) {
+                counter.textContent = `${currentMatch + 1} of ${chapterMatches.length}`;
+            }
+        }
+
+        // Remove the highlights and the navigation from the chapter
+        function clearMatches() {
+            chapterMatches.flatMap(match => match.marks).forEach(mark => {
+                const parent = mark.parentNode;
+                while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+                parent.removeChild(mark);
+                parent.normalize();
+            });
+
+            chapterMatches = [];
+            currentMatch = -1;
+            replaceRoute({ chapterId: matchRoute.chapterId });
+
+            const navigation = document.querySelector('#markdown-content .match-navigation');
+            if (navigation) navigation.remove();
+        }
+
+        // Run the live search shortly after the user stops typing
+        function scheduleLiveSearch() {
+            clearTimeout(liveSearchTimer);
+            liveSearchTimer = setTimeout(updateLiveResults, LIVE_SEARCH_DELAY);
+        }
+
+        // Search the index and show the best chapters and headings in the dropdown
+        async function updateLiveResults() {
+            const searchTerm = searchInput.value.trim();
+            if (!searchTerm) {
+                closeDropdown();
+                return;
+            }
+
+            let query;
+            try {
+                query = parseQuery(searchTerm, {
+                    wholeWord: wholeWordToggle.checked,
+                    regex: regexToggle.checked
+                });
+            } catch (error) {
+                // Incomplete input (e.g. an unfinished regex) - keep typing
+                renderDropdown(searchTerm, []);
+                return;
+            }
+
+            const index = await getSearchIndex();
+
+            // Ignore results for input that changed while the index was built
+            if (searchInput.value.trim() !== searchTerm) return;
+
+            lastSearch = { query: searchTerm, wholeWord: wholeWordToggle.checked, regex: regexToggle.checked };
+            renderDropdown(searchTerm, searchInIndex(index, query).slice(0, MAX_LIVE_RESULTS));
+        }
+
+        // Render the dropdown options. The last option always opens the full results page.
+        function renderDropdown(searchTerm, results) {
+            dropdownOptions = [];
+            searchDropdown.innerHTML = '';
+
+            for (const result of results) {
+                dropdownOptions.push({ type: 'chapter', chapter: result.chapter, label: result.chapter.title });
+
+                result.headings.slice(0, MAX_LIVE_HEADINGS).forEach(heading => {
+                    dropdownOptions.push({ type: 'heading', chapter: result.chapter, heading: heading, label: heading.text });
+                });
+            }
+
+            if (results.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'search-dropdown-empty';
+                empty.textContent = 'No matching chapters';
+                searchDropdown.appendChild(empty);
+            }
+
+            dropdownOptions.push({ type: 'all', label: `See all results for "${searchTerm}"` });
+
+            dropdownOptions.forEach((option, i) => {
+                const li = document.createElement('li');
+                li.id = `search-option-${i}`; // a reserved id, see content-format.js
+                li.className = `search-option search-option-${option.type}`;
+                li.setAttribute('role', 'option');
+                li.textContent = option.label;
+                li.addEventListener('click', () => openDropdownOption(option));
+                li.addEventListener('mousemove', () => setActiveOption(i));
+                searchDropdown.appendChild(li);
+            });
+
+            announce(results.length === 0 ? 'No matching chapters' : `${results.length} matching chapter(s)`);
+
+            activeOption = -1;
+            searchDropdown.hidden = false;
+            searchInput.setAttribute('aria-expanded', 'true');
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+
+        function closeDropdown() {
+            clearTimeout(liveSearchTimer);
+            searchDropdown.hidden = true;
+            searchInput.setAttribute('aria-expanded', 'false');
+            searchInput.removeAttribute('aria-activedescendant');
+            activeOption = -1;
+        }
+
+        function setActiveOption(i) {
+            const options = searchDropdown.querySelectorAll('.search-option');
+            if (options.length === 0) return;
+
+            // Wrap around at both ends
+            activeOption = (i + options.length) % options.length;
+            options.forEach((option, j) => {
+                option.classList.toggle('active', j === activeOption);
+                option.setAttribute('aria-selected', j === activeOption ? 'true' : 'false');
+            });
+
+            options[activeOption].scrollIntoView({ block: 'nearest' });
+            searchInput.setAttribute('aria-activedescendant', options[activeOption].id);
+        }
+
+        function openDropdownOption(option) {
+            closeDropdown();
+
+            if (option.type === 'all') {
+                performSearch();
+            } else if (option.type === 'heading') {
+                navigate({ ...lastSearch, chapterId: option.chapter.id, position: option.heading.position });
+            } else {
+                navigate({ chapterId: option.chapter.id });
+            }
+        }
 
-            function collectTextNodes(node) {
-                if (node.nodeType === Node.TEXT_NODE) {
-                    textNodes.push(node);
+        // Build the index in the background so the first search is instant
+        scheduleIdle(() => getSearchIndex());
+
+        // Add event listeners
+        searchButton.addEventListener('click', () => {
+            closeDropdown();
+            performSearch();
+        });
+
+        searchInput.addEventListener('input', scheduleLiveSearch);
+        wholeWordToggle.addEventListener('change', scheduleLiveSearch);
+        regexToggle.addEventListener('change', scheduleLiveSearch);
+
+        searchInput.addEventListener('keydown', function (e) {
+            const isOpen = !searchDropdown.hidden;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (!isOpen) {
+                    updateLiveResults();
+                    return;
+                }
+                setActiveOption(activeOption + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (isOpen && activeOption >= 0) {
+                    openDropdownOption(dropdownOptions[activeOption]);
                 } else {
-                    for (const child of node.childNodes) {
-                        collectTextNodes(child);
-                    }
+                    closeDropdown();
+                    performSearch();
                 }
+            } else if (e.key === 'Escape') {
+                closeDropdown();
             }
+        });
 
-            collectTextNodes(contentDiv);
+        // Keep focus in the input while clicking an option, close when focus leaves
+        searchDropdown.addEventListener('mousedown', e => e.preventDefault());
+        searchInput.addEventListener('blur', closeDropdown);
 
-            // Try to find the approximate position
-            let currentPos = 0;
-            let targetNode = null;
-            let targetOffset = 0;
+        // Global shortcuts: "/" or Ctrl+K (Cmd+K on macOS) focus the search box
+        document.addEventListener('keydown', function (e) {
+            const target = e.target;
+            const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
 
-            for (const node of textNodes) {
-                const nodeLength = node.textContent.length;
+            if ((e.key === 'k' && (e.ctrlKey || e.metaKey)) || (e.key === '/' && !isTyping)) {
+                e.preventDefault();
+                searchInput.focus();
+                searchInput.select();
+            }
+        });
 
-                if (currentPos <= originalPosition && originalPosition < currentPos + nodeLength) {
-                    targetNode = node;
-                    targetOffset = originalPosition - currentPos;
-                    break;
-                }
+        // Search only the version that is shown: its index is built on the next search
+        function resetIndex() {
+            searchIndex = null;
+            searchIndexPromise = null;
+            closeDropdown();
+        }
+
+        return { showResults, openChapterWithMatches, resetIndex };
+    }
 
-                currentPos += nodeLength;
+    // Colour themes, see the custom properties at the top of styles.css.
+    // "system" follows the prefers-color-scheme setting of the browser.
+    const THEME_STORAGE_KEY = 'tutorial-theme';
+    const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+    // Mermaid settings for each theme that can be shown
+    const MERMAID_THEMES = {
+        light: { theme: 'default' },
+        dark: { theme: 'dark' },
+        'high-contrast': {
+            theme: 'base',
+            themeVariables: {
+                background: '#000000',
+                primaryColor: '#000000',
+                primaryTextColor: '#ffffff',
+                primaryBorderColor: '#ffd700',
+                secondaryColor: '#1f1f1f',
+                tertiaryColor: '#1f1f1f',
+                lineColor: '#ffffff',
+                textColor: '#ffffff'
             }
+        }
+    };
 
-            if (targetNode) {
-                // Create a range to select the text
-                const range = document.createRange();
+    const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
 
-                // Get the search term from the search input instead of relying on existing highlight
-                const searchTerm = document.getElementById('search-input').value.trim();
+    // The theme the diagrams were last rendered with
+    let diagramTheme = null;
 
-                // Try to find the exact match
-                const nodeText = targetNode.textContent;
-                let matchPos = nodeText.toLowerCase().indexOf(searchTerm.toLowerCase(), targetOffset);
+    function getThemePreference() {
+        try {
+            const stored = localStorage.getItem(THEME_STORAGE_KEY);
+            return THEMES.includes(stored) ? stored : 'system';
+        } catch (e) {
+            return 'system';
+        }
+    }
 
-                if (matchPos === -1) {
-                    // If not found at expected position, search the entire node
-                    matchPos = nodeText.toLowerCase().indexOf(searchTerm.toLowerCase());
-                }
+    // The theme actually shown for a preference: light, dark or high-contrast
+    function resolveTheme(preference) {
+        if (preference !== 'system') return preference;
+        return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+    }
 
-                if (matchPos !== -1) {
-                    // Create a highlight span
-                    const highlightSpan = document.createElement('span');
-                    highlightSpan.className = 'search-highlight in-content';
-                    highlightSpan.id = `match-${matchIndex}`;
+    // Page colours switch through CSS alone. Diagrams have their colours
+    // baked into the SVG, so they are rendered again.
+    function applyTheme(preference) {
+        if (preference === 'system') {
+            document.documentElement.removeAttribute('data-theme');
+        } else {
+            document.documentElement.setAttribute('data-theme', preference);
+        }
 
-                    try {
-                        range.setStart(targetNode, matchPos);
-                        range.setEnd(targetNode, matchPos + searchTerm.length);
+        const theme = resolveTheme(preference);
+        if (theme === diagramTheme || typeof mermaid === 'undefined') return;
 
-                        // Replace the text with our highlighted span
-                        range.deleteContents();
-                        range.insertNode(highlightSpan);
+        // Diagrams are rendered explicitly by renderDiagrams() on every navigation
+        mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', ...MERMAID_THEMES[theme] });
+        if (diagramTheme !== null) rerenderDiagrams();
+        diagramTheme = theme;
+    }
 
-                        // Add the text to the span
-                        highlightSpan.textContent = searchTerm;
+    // Theme selector in the header, the choice is remembered in localStorage
+    function setupThemeSwitcher() {
+        const select = document.getElementById('theme-select');
+        select.value = getThemePreference();
+        applyTheme(select.value);
 
-                        // Scroll to the highlight
-                        highlightSpan.scrollIntoView({
-                            behavior: 'smooth',
-                            block: 'center'
-                        });
-                    } catch (e) {
-                        console.error('Error highlighting text:', e);
-                    }
+        select.addEventListener('change', () => {
+            try {
+                if (select.value === 'system') {
+                    localStorage.removeItem(THEME_STORAGE_KEY);
+                } else {
+                    localStorage.setItem(THEME_STORAGE_KEY, select.value);
                 }
+            } catch (e) {
+                // Storage can be disabled, the theme still applies until the page is left
             }
+            applyTheme(select.value);
+        });
+
+        // Follow changes of the system setting while no theme is picked
+        if (darkSchemeQuery) {
+            darkSchemeQuery.addEventListener('change', () => applyTheme(select.value));
         }
+    }
 
-        // Add event listeners
-        searchButton.addEventListener('click', performSearch);
-        searchInput.addEventListener('keypress', function (e) {
-            if (e.key === 'Enter') {
-                performSearch();
+    // Documentation versions. Every version has its own sidebar, search
+    // index and offline copy. A version that fails to load leaves the
+    // current one in place.
+    async function switchVersion(version) {
+        const success = await buildTutorialGroups(version.id);
+        if (success) {
+            populateSidebar();
+            search.resetIndex();
+            resetGlossary();
+            renderAnnotationsPanel();
+            offline.precacheChapters();
+        }
+        updateVersionSwitcher();
+        return success;
+    }
+
+    // Open another version at the chapter that is open now. It may have
+    // another number there, so it is found by file name or title.
+    async function openVersion(versionId) {
+        const hash = window.location.hash;
+        const route = parseRoute(hash);
+        const version = findVersion(versionId);
+        const chapter = findChapterById(route.chapterId);
+
+        if (version && chapter) {
+            try {
+                const match = findMatchingChapter(await loadVersionGroups(version), chapter);
+                if (match) route.chapterId = match.id;
+            } catch (error) {
+                console.warn(`Could not find ${chapter.title} in version ${versionId}:`, error);
+            }
+            // The reader went on while the version was loading
+            if (window.location.hash !== hash) return;
+        }
+
+        navigate({ ...route, version: versionId });
+    }
+
+    // Version selector in the header, only shown when there is more than one
+    // version. Switching keeps the chapter (or search) that is open.
+    function setupVersionSwitcher() {
+        const select = document.getElementById('version-select');
+        select.innerHTML = versions.map(version =>
+            `<option value="${escapeHtml(version.id)}">${escapeHtml(version.label)}</option>`
+        ).join('');
+        select.parentElement.hidden = versions.length < 2;
+
+        select.addEventListener('change', () => openVersion(select.value));
+
+        updateVersionSwitcher();
+    }
+
+    // Show the current version in the selector and warn about old versions
+    function updateVersionSwitcher() {
+        if (versions.length < 2) return;
+
+        document.getElementById('version-select').value = currentVersion.id;
+
+        const banner = document.getElementById('version-banner');
+        banner.hidden = isLatestVersion();
+        if (banner.hidden) return;
+
+        const latest = versions[0];
+        banner.innerHTML = `
+            You are viewing the documentation for ${escapeHtml(currentVersion.label)}.
+            The latest version is ${escapeHtml(latest.label)}.
+            <button type="button" class="version-banner-latest">Go to ${escapeHtml(latest.label)}</button>
+        `;
+        banner.querySelector('.version-banner-latest').addEventListener('click', () => openVersion(latest.id));
+    }
+
+    // Register the service worker, have it cache every chapter and show
+    // whether the tutorials are available offline
+    function setupOfflineSupport() {
+        const status = document.getElementById('offline-status');
+        let availableOffline = false;
+
+        function updateStatus() {
+            if (!navigator.onLine) {
+                status.textContent = availableOffline ? 'Offline: showing saved tutorials' : 'Offline';
+                status.className = 'offline-status is-offline';
+                status.hidden = false;
+            } else if (availableOffline) {
+                status.textContent = '✓ Available offline';
+                status.className = 'offline-status is-available';
+                status.hidden = false;
+            } else {
+                status.hidden = true;
             }
+        }
+
+        window.addEventListener('online', updateStatus);
+        window.addEventListener('offline', updateStatus);
+        updateStatus();
+
+        // Service workers need http(s), the viewer opened from file:// just works online
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            return { precacheChapters() { } };
+        }
+
+        const ready = navigator.serviceWorker.register('service-worker.js')
+            .then(() => navigator.serviceWorker.ready);
+        ready.catch(error => {
+            console.warn('Offline support is not available:', error);
         });
+
+        // Cache the chapters of the current version. Switching versions
+        // caches the new one, the status waits for its answer.
+        let precacheCount = 0;
+        function precacheChapters() {
+            const request = ++precacheCount;
+            const urls = [];
+            for (const groupName in tutorialGroups) {
+                tutorialGroups[groupName].forEach(chapter => urls.push(chapter.path));
+            }
+
+            availableOffline = false;
+            updateStatus();
+
+            ready.then(registration => {
+                const channel = new MessageChannel();
+                channel.port1.onmessage = event => {
+                    if (event.data.type !== 'precached' || request !== precacheCount) return;
+                    if (event.data.failed > 0) {
+                        console.warn(`${event.data.failed} chapter(s) could not be saved for offline use`);
+                    }
+                    availableOffline = event.data.failed === 0;
+                    updateStatus();
+                };
+                registration.active.postMessage({ type: 'precache', urls }, [channel.port2]);
+            }, () => { });
+        }
+
+        precacheChapters();
+        return { precacheChapters };
     }
 
     // Initialize the application
     async function init() {
-        // Add support for mermaid diagrams
-        const mermaidScript = document.createElement('script');
-        mermaidScript.src = 'https://cdn.jsdelivr.net/npm/mermaid/dist/mermaid.min.js';
-        document.head.appendChild(mermaidScript);
+        // Render hooks of extension scripts, before anything is rendered
+        setupExtensions();
+
+        // Colour theme, it also configures the diagram renderer
+        setupThemeSwitcher();
 
         // Show loading indicator
         document.getElementById('markdown-content').innerHTML = `
@@ -675,21 +4370,57 @@ document.addEventListener('DOMContentLoaded', function () {
                 <p>Please wait while we scan for available tutorials.</p>
             </div>
         `;
+        announce('Loading tutorials…');
 
-        // Build tutorial groups
-        const success = await buildTutorialGroups();
+        // Build tutorial groups of the version in the URL
+        const success = await buildTutorialGroups(parseRoute(window.location.hash).version);
 
         if (success) {
             // Populate sidebar with the discovered tutorials
             populateSidebar();
 
+            // Keyboard navigation of the chapter tree and the drawer on narrow screens
+            setupSidebarTree();
+            setupSidebarDrawer();
+
             // Setup search functionality
-            setupSearch();
+            search = setupSearch();
 
-            // Initialize mermaid if loaded
-            if (typeof mermaid !== 'undefined') {
-                mermaid.initialize({ startOnLoad: true });
-            }
+            // Version selector and old version banner
+            setupVersionSwitcher();
+
+            // Previous/next chapter shortcuts
+            setupChapterKeys();
+
+            // The site title leads back to the landing view
+            document.querySelector('.home-link').addEventListener('click', e => {
+                e.preventDefault();
+                navigate({});
+            });
+
+            // Bookmarks and notes of the reader
+            setupAnnotationsPanel();
+
+            // Glossary of the classes and concepts of all tutorials
+            document.getElementById('concepts-link').addEventListener('click', e => {
+                e.preventDefault();
+                navigate({ view: 'concepts' });
+            });
+
+            // Cache everything for offline reading
+            offline = setupOfflineSupport();
+
+            // Keep the "On this page" outline and the reading progress in sync with the scroll position
+            let scrollSpyQueued = false;
+            window.addEventListener('scroll', () => {
+                if (scrollSpyQueued) return;
+                scrollSpyQueued = true;
+                requestAnimationFrame(() => {
+                    scrollSpyQueued = false;
+                    updateScrollSpy();
+                    recordReadingProgress();
+                });
+            }, { passive: true });
 
             // Load initial chapter
             loadInitialChapter();
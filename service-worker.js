@@ -0,0 +1,97 @@
+// Service worker that makes the tutorial viewer work offline.
+//
+// The app shell and the vendored libraries are cached on install. The page
+// asks for every chapter to be cached once it knows the tutorial list (see
+// setupOfflineSupport() in script.js). All requests go to the network first,
+// so changed chapters are picked up - and the cache refreshed - whenever the
+// server is reachable. The cache is only used when the network fails.
+
+// Bump when the app shell or a vendored library changes
+const CACHE_VERSION = 3;
+const CACHE_NAME = `shopware-tutorials-v${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'content-format.js',
+    'viewer-controls.js',
+    'script.js',
+    'styles.css',
+    'output/tutorials.json',
+    'vendor/marked/marked.min.js',
+    'vendor/mermaid/mermaid.min.js',
+    'vendor/highlight.js/highlight.min.js',
+    'vendor/highlight.js/languages/twig.min.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'no-cache' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Remove the caches of older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('shopware-tutorials-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) return;
+    if (request.method !== 'GET' && request.method !== 'HEAD') return;
+
+    event.respondWith(networkFirst(request));
+});
+
+// Answer from the network and keep the cache up to date, fall back to the cache
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (request.method === 'GET' && response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // HEAD requests are answered from the cached GET response
+        const cached = await cache.match(request.url, { ignoreSearch: true });
+        if (!cached) throw error;
+
+        if (request.method === 'HEAD') {
+            return new Response(null, { status: cached.status, headers: cached.headers });
+        }
+        return cached;
+    }
+}
+
+// The page sends { type: 'precache', urls } with every chapter file and gets
+// { type: 'precached', cached, failed } back on the message port
+self.addEventListener('message', event => {
+    const data = event.data || {};
+    if (data.type !== 'precache' || !Array.isArray(data.urls)) return;
+
+    const reply = event.ports[0];
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(async cache => {
+            const results = await Promise.allSettled(
+                data.urls.map(url => cache.add(new Request(url, { cache: 'no-cache' })))
+            );
+            const failed = results.filter(result => result.status === 'rejected').length;
+
+            if (reply) {
+                reply.postMessage({ type: 'precached', cached: results.length - failed, failed });
+            }
+        })
+    );
+});
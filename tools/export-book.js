@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+// Book export: one PDF or EPUB per tutorial, with the chapters in the order of
+// the sidebar, a cover page and a table of contents. Both formats are made from
+// the viewer's print view (#?print=<tutorial>).
+//
+// Usage:
+//   node tools/export-book.js [--format epub|pdf] [--tutorial Storefront] [--out dist/books]
+//
+// EPUB needs jsdom (see viewer.js); diagrams are rendered to SVG with the
+// Mermaid CLI (mmdc) when it is on the PATH and included as source otherwise.
+// PDF needs Puppeteer (npm install --no-save puppeteer), which prints the print
+// view from headless Chrome with the print stylesheet.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const {
+    ROOT,
+    loadJsdom,
+    escapeHtml,
+    hasMermaidCli,
+    renderDiagramWithCli,
+    waitForEvent,
+    startViewer,
+    openRoute,
+    readTutorialGroups
+} = require('./viewer');
+
+const FORMATS = ['epub', 'pdf'];
+
+// Content types of the files the viewer loads, for the PDF export's server
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+function parseArguments(argv) {
+    const options = { format: 'epub', tutorial: null, out: path.join(ROOT, 'dist', 'books') };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            options.format = argv[++i];
+        } else if (arg === '--tutorial') {
+            options.tutorial = argv[++i];
+        } else if (arg === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            console.log('Usage: node tools/export-book.js [--format epub|pdf] [--tutorial name] [--out dir]');
+            process.exit(0);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}", use one of: ${FORMATS.join(', ')}`);
+    }
+
+    return options;
+}
+
+// Route of the print view of a tutorial, as formatRoute() in script.js builds it
+function printRoute(groupName) {
+    return '#?' + new URLSearchParams({ print: groupName }).toString();
+}
+
+// File name of a tutorial's book ("Storefront" -> "storefront.epub")
+function bookFile(groupName, format) {
+    const name = groupName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tutorial';
+    return `${name}.${format}`;
+}
+
+// Pick the tutorials to export, all of them unless --tutorial is given
+function selectGroups(groupNames, tutorial) {
+    if (!tutorial) return groupNames;
+    if (!groupNames.includes(tutorial)) {
+        throw new Error(`Unknown tutorial "${tutorial}", available: ${groupNames.join(', ')}`);
+    }
+    return [tutorial];
+}
+
+// --- EPUB ---
+
+// Without the Mermaid CLI a diagram is included as its source
+function diagramSource(id, source) {
+    return `<pre class="mermaid-source">${escapeHtml(source)}</pre>`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal zip writer for EPUB containers. Entries are { name, content, store },
+// "store" keeps an entry uncompressed (the EPUB mimetype has to be).
+function createZip(entries) {
+    const files = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const content = Buffer.from(entry.content);
+        const data = entry.store ? content : zlib.deflateRawSync(content);
+        const method = entry.store ? 0 : 8;
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        files.push(local, name, data);
+        directory.push(central, name);
+        offset += local.length + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...files, ...directory, end]);
+}
+
+function xhtmlPage(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="styles.css" />
+</head>
+<body>
+<div id="markdown-content">
+${body}
+</div>
+</body>
+</html>
+`;
+}
+
+// A chapter of the print view as XHTML, with links between chapters pointing
+// at the chapter files of the book
+function chapterXhtml(window, article, fileOf) {
+    const content = article.cloneNode(true);
+    content.querySelectorAll('.code-toolbar, .line-numbers, .mermaid-controls').forEach(element => element.remove());
+
+    content.querySelectorAll('a[href^="#"]').forEach(link => {
+        const href = link.getAttribute('href');
+        const file = href.startsWith('#print-') && fileOf[href.substring('#print-'.length)];
+        if (file) {
+            link.setAttribute('href', file);
+        } else {
+            // Viewer routes to other tutorials mean nothing inside the book
+            link.replaceWith(window.document.createTextNode(link.textContent));
+        }
+    });
+
+    const serializer = new window.XMLSerializer();
+    return Array.from(content.childNodes).map(node => serializer.serializeToString(node)).join('');
+}
+
+function buildEpub(window, groupName) {
+    const contentDiv = window.document.getElementById('markdown-content');
+    const articles = Array.from(contentDiv.querySelectorAll('.print-chapter'));
+    const chapters = articles.map((article, i) => ({
+        id: article.id.substring('print-'.length),
+        title: window.document.querySelector(`.print-contents a[href="#${article.id}"]`).textContent,
+        file: `chapter-${i + 1}.xhtml`,
+        article
+    }));
+    const fileOf = Object.fromEntries(chapters.map(ch => [ch.id, ch.file]));
+
+    const serializer = new window.XMLSerializer();
+    const cover = serializer.serializeToString(contentDiv.querySelector('.print-cover'));
+    const hasSvg = file => /<svg[\s>]/.test(file.content);
+
+    const files = [
+        { name: 'cover.xhtml', id: 'cover', content: xhtmlPage(groupName, cover) },
+        ...chapters.map((chapter, i) => ({
+            name: chapter.file,
+            id: `chapter-${i + 1}`,
+            content: xhtmlPage(chapter.title, chapterXhtml(window, chapter.article, fileOf))
+        }))
+    ];
+
+    const nav = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(groupName)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+${chapters.map(ch => `        <li><a href="${ch.file}">${escapeHtml(ch.title)}</a></li>`).join('\n')}
+    </ol>
+</nav>
+</body>
+</html>
+`;
+
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const siteTitle = window.document.querySelector('header h1').textContent;
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+        <dc:title>${escapeHtml(groupName)}</dc:title>
+        <dc:publisher>${escapeHtml(siteTitle)}</dc:publisher>
+        <dc:language>en</dc:language>
+        <meta property="dcterms:modified">${modified}</meta>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="styles" href="styles.css" media-type="text/css"/>
+${files.map(file => `        <item id="${file.id}" href="${file.name}" media-type="application/xhtml+xml"${hasSvg(file) ? ' properties="svg"' : ''}/>`).join('\n')}
+    </manifest>
+    <spine>
+${files.map(file => `        <itemref idref="${file.id}"/>`).join('\n')}
+    </spine>
+</package>
+`;
+
+    const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>
+`;
+
+    return createZip([
+        { name: 'mimetype', content: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', content: container },
+        { name: 'OEBPS/content.opf', content: opf },
+        { name: 'OEBPS/nav.xhtml', content: nav },
+        { name: 'OEBPS/styles.css', content: fs.readFileSync(path.join(ROOT, 'styles.css')) },
+        ...files.map(file => ({ name: `OEBPS/${file.name}`, content: file.content }))
+    ]);
+}
+
+async function exportEpub(options) {
+    const jsdom = loadJsdom();
+    const useCli = hasMermaidCli();
+    if (!useCli) {
+        console.warn('Mermaid CLI (mmdc) not found, diagrams are included as source.');
+    }
+
+    const window = await startViewer(jsdom, useCli ? renderDiagramWithCli : diagramSource);
+    const groupNames = selectGroups(Object.keys(readTutorialGroups(window)), options.tutorial);
+
+    for (const groupName of groupNames) {
+        const rendered = waitForEvent(window, 'printviewrendered', detail => detail.groupName === groupName, groupName);
+        openRoute(window, printRoute(groupName));
+        await rendered;
+
+        const file = path.join(options.out, bookFile(groupName, 'epub'));
+        fs.writeFileSync(file, buildEpub(window, groupName));
+        console.log(`Exported ${groupName} to ${file}`);
+    }
+
+    window.close();
+}
+
+// --- PDF ---
+
+function loadPuppeteer() {
+    try {
+        return require('puppeteer');
+    } catch (error) {
+        console.error('The PDF export needs Puppeteer. Install it with: npm install --no-save puppeteer');
+        process.exit(1);
+    }
+}
+
+// Serve the repository to headless Chrome, the viewer cannot fetch() from file:// URLs
+function startServer() {
+    const server = http.createServer((request, response) => {
+        const file = path.join(ROOT, decodeURIComponent(new URL(request.url, 'http://localhost/').pathname));
+        const found = file.startsWith(ROOT + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile();
+        if (!found) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(request.method === 'HEAD' ? undefined : fs.readFileSync(file));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+// Open a view of the viewer in a new tab and wait for it to be rendered
+async function openViewer(browser, url, eventType) {
+    const page = await browser.newPage();
+    await page.evaluateOnNewDocument(type => {
+        document.addEventListener(type, () => { window.viewerRendered = true; });
+    }, eventType);
+    await page.goto(url);
+    await page.waitForFunction('window.viewerRendered === true', { timeout: 60000 });
+    return page;
+}
+
+async function exportPdf(options) {
+    const puppeteer = loadPuppeteer();
+    const server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}/index.html`;
+    const browser = await puppeteer.launch();
+
+    try {
+        const viewer = await openViewer(browser, baseUrl, 'chapterrendered');
+        const allGroups = await viewer.evaluate(() => Array.from(document.querySelectorAll('.tutorial-group-header h3'))
+            .map(heading => heading.textContent));
+        await viewer.close();
+
+        for (const groupName of selectGroups(allGroups, options.tutorial)) {
+            const page = await openViewer(browser, baseUrl + printRoute(groupName), 'printviewrendered');
+            const file = path.join(options.out, bookFile(groupName, 'pdf'));
+            await page.pdf({
+                path: file,
+                format: 'A4',
+                printBackground: true,
+                margin: { top: '2cm', right: '1.5cm', bottom: '2cm', left: '1.5cm' },
+                displayHeaderFooter: true,
+                headerTemplate: '<span></span>',
+                footerTemplate: '<div style="width: 100%; font-size: 8px; text-align: center;"><span class="pageNumber"></span></div>'
+            });
+            await page.close();
+            console.log(`Exported ${groupName} to ${file}`);
+        }
+    } finally {
+        await browser.close();
+        server.close();
+    }
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    fs.mkdirSync(options.out, { recursive: true });
+
+    if (options.format === 'pdf') {
+        await exportPdf(options);
+    } else {
+        await exportEpub(options);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
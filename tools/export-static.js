@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+// Static site export: prerenders every chapter to a standalone HTML page that
+// works without JavaScript and can be crawled by search engines.
+//
+// The pages are rendered by the viewer itself: index.html and script.js run in
+// jsdom, every chapter is opened from the sidebar and the finished page (sidebar,
+// "On this page" outline, highlighted code and diagrams) is saved as HTML. Next
+// to the pages it writes sitemap.xml and search-index.json.
+//
+// Usage:
+//   node tools/export-static.js [--out dist] [--base-url https://example.com/tutorials/]
+//                               [--client-diagrams]
+//
+// Requires jsdom (see viewer.js). Mermaid diagrams are rendered to SVG with the
+// Mermaid CLI (mmdc), the export fails if it is not on the PATH. With
+// --client-diagrams the pages render them in the browser with the vendored
+// Mermaid instead, which needs JavaScript.
+//
+// With a versioned tutorial manifest the latest version is exported.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT,
+    loadJsdom,
+    escapeHtml,
+    hasMermaidCli,
+    renderDiagramWithCli,
+    waitForChapter,
+    startViewer,
+    readTutorialGroups
+} = require('./viewer');
+
+function parseArguments(argv) {
+    const options = { out: path.join(ROOT, 'dist'), baseUrl: null, clientDiagrams: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else if (arg === '--base-url') {
+            options.baseUrl = argv[++i].replace(/\/?$/, '/');
+        } else if (arg === '--client-diagrams') {
+            options.clientDiagrams = true;
+        } else if (arg === '--help' || arg === '-h') {
+            console.log('Usage: node tools/export-static.js [--out dir] [--base-url url] [--client-diagrams]');
+            process.exit(0);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Without the Mermaid CLI the source is kept in a <pre class="mermaid"> that
+// static-page.js renders in the browser
+function keepDiagramSource(id, source) {
+    return `<pre class="mermaid">${escapeHtml(source)}</pre>`;
+}
+
+// File name of the exported page of a chapter
+function pageFile(chapterId) {
+    return `${chapterId}.html`;
+}
+
+// Turn the viewer's hash routes (#chapterId/sectionId) into links between the
+// exported pages. Diagrams get the pages of their tutorial's chapters, which
+// static-page.js links their nodes to, like the viewer does.
+function rewriteLinks(page, chapters, current) {
+    const currentId = current.id;
+    const chapterIds = new Set(chapters.map(ch => ch.id));
+
+    page.querySelectorAll('a[href^="#"]').forEach(link => {
+        const route = link.getAttribute('href').substring(1).split('?')[0];
+        const [chapterId, sectionId] = route.split('/');
+        if (!chapterIds.has(chapterId)) return;
+
+        if (chapterId === currentId && sectionId) {
+            link.setAttribute('href', `#${sectionId}`);
+        } else {
+            link.setAttribute('href', pageFile(chapterId) + (sectionId ? `#${sectionId}` : ''));
+        }
+    });
+
+    const diagramChapters = JSON.stringify(chapters
+        .filter(ch => ch.group === current.group)
+        .map(ch => ({ title: ch.title, href: pageFile(ch.id) })));
+    page.querySelectorAll('.mermaid-diagram').forEach(diagram => {
+        diagram.setAttribute('data-chapters', diagramChapters);
+    });
+}
+
+// Save the chapter the viewer currently shows as a standalone page
+function buildPage(window, chapters, chapter, options) {
+    const page = window.document.documentElement.cloneNode(true);
+
+    // Search, offline status, bookmarks and other interactive-only controls do not work without the viewer
+    page.querySelectorAll('script, .search-container, .search-options, #offline-status, .theme-switcher, .version-switcher, #version-banner, .match-navigation, .mermaid-controls, .chapter-print-link, .chapter-compare-link, #concepts-link, #annotations-panel, #selection-note, .heading-bookmark, .heading-note')
+        .forEach(element => element.remove());
+
+    // Reading progress belongs to the reader, not to the exported site
+    page.querySelectorAll('#chapter-list a.is-read').forEach(link => link.classList.remove('is-read'));
+
+    // The viewer makes the heading focusable to move the focus there after a navigation
+    page.querySelectorAll('#markdown-content h1[tabindex], #markdown-content h2[tabindex]').forEach(heading => heading.removeAttribute('tabindex'));
+
+    // The keyboard navigation of the chapter tree is part of script.js, the
+    // exported sidebar is a plain list of links
+    page.querySelectorAll('#chapter-list, #chapter-list [role]').forEach(element => {
+        ['role', 'tabindex', 'aria-label', 'aria-labelledby', 'aria-expanded'].forEach(name => element.removeAttribute(name));
+    });
+
+    rewriteLinks(page, chapters, chapter);
+    page.querySelector('.home-link').setAttribute('href', 'index.html');
+
+    const title = page.querySelector('title');
+    title.textContent = `${chapter.title} - ${title.textContent}`;
+
+    const head = page.querySelector('head');
+    if (options.baseUrl) {
+        head.insertAdjacentHTML('beforeend', `<link rel="canonical" href="${escapeHtml(options.baseUrl + pageFile(chapter.id))}">`);
+    }
+
+    const needsMermaid = page.querySelector('pre.mermaid') !== null;
+    const body = page.querySelector('body');
+    if (needsMermaid) {
+        body.insertAdjacentHTML('beforeend', '<script src="vendor/mermaid/mermaid.min.js"></script>');
+    }
+    body.insertAdjacentHTML('beforeend', '<script src="viewer-controls.js"></script>');
+    body.insertAdjacentHTML('beforeend', '<script src="static-page.js"></script>');
+
+    return { html: `<!DOCTYPE html>\n${page.outerHTML}\n`, needsMermaid };
+}
+
+// Entry of search-index.json for the chapter the viewer currently shows
+function buildSearchDocument(window, chapter) {
+    const content = window.document.getElementById('markdown-content').cloneNode(true);
+    content.querySelectorAll('.viewer-ui').forEach(element => element.remove());
+
+    return {
+        id: chapter.id,
+        title: chapter.title,
+        group: chapter.group,
+        url: pageFile(chapter.id),
+        headings: Array.from(content.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]')).map(heading => ({
+            id: heading.id,
+            level: Number(heading.tagName.substring(1)),
+            text: heading.textContent.trim()
+        })),
+        text: content.textContent.replace(/\s+/g, ' ').trim()
+    };
+}
+
+function buildSitemap(chapters, baseUrl) {
+    const urls = chapters.map(chapter => {
+        const modified = fs.statSync(path.join(ROOT, chapter.path)).mtime.toISOString().substring(0, 10);
+        return `    <url>\n        <loc>${escapeHtml(baseUrl + pageFile(chapter.id))}</loc>\n        <lastmod>${modified}</lastmod>\n    </url>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`;
+}
+
+// The site root opens the first chapter, like the viewer does
+function buildRootPage(firstChapter) {
+    const target = escapeHtml(pageFile(firstChapter.id));
+    return `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="refresh" content="0; url=${target}">
+    <title>Shopware Tutorials</title>
+</head>
+
+<body>
+    <p><a href="${target}">${escapeHtml(firstChapter.title)}</a></p>
+</body>
+
+</html>
+`;
+}
+
+function copyIntoOutput(source, out) {
+    fs.cpSync(path.join(ROOT, source), path.join(out, source), { recursive: true });
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const jsdom = loadJsdom();
+    const useCli = hasMermaidCli();
+    if (!useCli && !options.clientDiagrams) {
+        throw new Error('Mermaid CLI (mmdc) not found. Install it, or pass --client-diagrams to render the diagrams in the browser.');
+    }
+    if (!useCli) {
+        console.warn('Mermaid CLI (mmdc) not found, diagrams will be rendered in the browser.');
+    }
+
+    const window = await startViewer(jsdom, useCli ? renderDiagramWithCli : keepDiagramSource, { glossary: true });
+
+    // Chapters in sidebar order, with the tutorial they belong to
+    const groups = readTutorialGroups(window);
+    const chapters = Object.keys(groups).reduce((all, groupName) => all.concat(groups[groupName]), []);
+    if (chapters.length === 0) {
+        throw new Error('No chapters found, check output/tutorials.json');
+    }
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    const documents = [];
+    let needsMermaid = false;
+    for (const chapter of chapters) {
+        const rendered = waitForChapter(window, chapter.path);
+        chapter.link.click();
+
+        const { error } = await rendered;
+        if (error) {
+            throw new Error(`Could not render ${chapter.path}: ${error.message}`);
+        }
+
+        const page = buildPage(window, chapters, chapter, options);
+        needsMermaid = needsMermaid || page.needsMermaid;
+        fs.writeFileSync(path.join(options.out, pageFile(chapter.id)), page.html);
+        documents.push(buildSearchDocument(window, chapter));
+        console.log(`Exported ${chapter.path}`);
+    }
+
+    fs.writeFileSync(path.join(options.out, 'index.html'), buildRootPage(chapters[0]));
+    fs.writeFileSync(path.join(options.out, 'search-index.json'), JSON.stringify({ documents }, null, 2));
+
+    if (options.baseUrl) {
+        fs.writeFileSync(path.join(options.out, 'sitemap.xml'), buildSitemap(chapters, options.baseUrl));
+    } else {
+        console.warn('No --base-url given, sitemap.xml needs absolute URLs and was not written.');
+    }
+
+    copyIntoOutput('styles.css', options.out);
+    copyIntoOutput('viewer-controls.js', options.out);
+    fs.copyFileSync(path.join(__dirname, 'static-page.js'), path.join(options.out, 'static-page.js'));
+    if (needsMermaid) {
+        copyIntoOutput('vendor/mermaid', options.out);
+    }
+
+    window.close();
+    console.log(`Exported ${chapters.length} chapters to ${options.out}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
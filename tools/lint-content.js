@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+// Content lint: checks the generated tutorials in output/ without opening the
+// viewer, so a bad regeneration can be caught before it is published.
+//
+// Checks, for every tutorial of every version in output/tutorials.json:
+//   missing-index       the tutorial directory has no index.md
+//   missing-chapters    index.md has no "## Chapters" list
+//   missing-chapter     a chapter listed in "## Chapters" has no file
+//   unlisted-chapter    a markdown file of the directory is not listed (warning)
+//   chapter-numbering   chapter numbers are duplicated or not 1, 2, 3, ...
+//   broken-link         a relative link points to a file that does not exist
+//                       or has a malformed percent escape
+//   broken-anchor       a link points to a heading that does not exist
+//   invalid-mermaid     a ```mermaid block does not parse
+//   unlabeled-fence     a code fence has no language (warning)
+//
+// Usage:
+//   node tools/lint-content.js [--format text|json] [--strict]
+//
+// Exit codes: 0 no errors, 1 errors found (or warnings with --strict),
+// 2 the lint could not run (bad arguments, unreadable manifest).
+//
+// Markdown is parsed with the vendored marked, like the viewer does. Mermaid
+// blocks are parsed with the vendored Mermaid in jsdom (see viewer.js).
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadJsdom } = require('./viewer');
+const { lexer } = require('../vendor/marked/marked.min.js');
+const { parseChapterList, createHeadingIds } = require('../content-format.js');
+
+const MANIFEST = path.join(ROOT, 'output', 'tutorials.json');
+
+function parseArguments(argv) {
+    const options = { format: 'text', strict: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            options.format = argv[++i];
+            if (options.format !== 'text' && options.format !== 'json') {
+                throw new Error(`Unknown format: ${options.format} (use text or json)`);
+            }
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--help' || arg === '-h') {
+            console.log('Usage: node tools/lint-content.js [--format text|json] [--strict]');
+            process.exit(0);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Tutorial directories to check, like the viewer reads the manifest: either
+// { "tutorials": [...] } below output/ or { "versions": [{ "id", "tutorials" }] }
+// below output/<id>/
+function readManifest() {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+    const versions = Array.isArray(manifest.versions) ? manifest.versions : [{ id: null, tutorials: manifest.tutorials }];
+
+    const directories = [];
+    versions.forEach(version => {
+        if (!Array.isArray(version.tutorials)) {
+            throw new Error(`${path.relative(ROOT, MANIFEST)} has no "tutorials" list${version.id ? ` for version ${version.id}` : ''}`);
+        }
+        const root = version.id ? path.join('output', String(version.id)) : 'output';
+        version.tutorials.forEach(dir => directories.push(path.join(root, dir)));
+    });
+    return directories;
+}
+
+function lineAt(text, offset) {
+    return text.substring(0, offset).split('\n').length;
+}
+
+// Percent-decoded link target, null for a malformed escape like "%zz"
+function decodeTarget(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Mermaid parse errors span several lines: "Parse error on line 2:", the
+// source line, a "----^" pointer and the expected/found tokens. The text
+// output keeps them on one line without the pointer.
+function summarizeMermaidError(message) {
+    return message.split('\n')
+        .slice(0, 4)
+        .filter(line => line.trim() && !/^-*\^$/.test(line.trim()))
+        .join(' ');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Text of inline tokens as the browser shows it (textContent of the heading)
+function inlineText(tokens) {
+    return tokens.map(token => {
+        if (token.type === 'html') return '';
+        if (token.tokens) return inlineText(token.tokens);
+        return decodeEntities(token.text || '');
+    }).join('');
+}
+
+// Headings (as ids), links and code blocks of a markdown file, with the line
+// each starts on
+function scanMarkdown(markdown) {
+    const result = { anchors: new Set(), links: [], codeBlocks: [] };
+    // Same ids as addHeadingAnchors() in script.js gives the rendered headings
+    const headingId = createHeadingIds();
+    let offset = 0;
+
+    const findLinks = (tokens, block) => {
+        tokens.forEach(token => {
+            if (token.type === 'link' || token.type === 'image') {
+                const position = block.raw.indexOf(token.raw, block.cursor);
+                if (position !== -1) block.cursor = position + token.raw.length;
+                result.links.push({ href: token.href, line: lineAt(markdown, block.offset + Math.max(position, 0)) });
+            }
+            if (token.tokens) findLinks(token.tokens, block);
+            if (token.items) findLinks(token.items, block);
+        });
+    };
+
+    lexer(markdown).forEach(token => {
+        const line = lineAt(markdown, offset);
+
+        if (token.type === 'heading') {
+            result.anchors.add(headingId(inlineText(token.tokens)));
+        }
+
+        if (token.type === 'code' && token.codeBlockStyle !== 'indented') {
+            result.codeBlocks.push({ language: token.lang || '', source: token.text, line });
+        }
+
+        findLinks([token], { raw: token.raw, offset, cursor: 0 });
+        offset += token.raw.length;
+    });
+
+    return result;
+}
+
+// Mermaid's parser needs a DOM, it runs in jsdom without rendering anything
+function loadMermaidParser() {
+    const { JSDOM } = loadJsdom();
+    const window = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only', pretendToBeVisual: true }).window;
+    window.structuredClone = structuredClone;
+    window.eval(fs.readFileSync(path.join(ROOT, 'vendor/mermaid/mermaid.min.js'), 'utf8'));
+    window.mermaid.initialize({ startOnLoad: false });
+    return source => window.mermaid.parse(source);
+}
+
+async function lintTutorial(dir, parseMermaid, report) {
+    const absoluteDir = path.join(ROOT, dir);
+    const indexFile = path.join(dir, 'index.md');
+
+    if (!fs.existsSync(path.join(ROOT, indexFile))) {
+        report('error', 'missing-index', dir, null, 'Tutorial directory has no index.md');
+        return;
+    }
+
+    const indexMarkdown = fs.readFileSync(path.join(ROOT, indexFile), 'utf8');
+    const entries = parseChapterList(indexMarkdown);
+    if (entries === null || entries.length === 0) {
+        report('error', 'missing-chapters', indexFile, null, 'No numbered "## Chapters" list found');
+    }
+
+    // Listed chapters against the files in the directory
+    const listed = new Set();
+    const missing = new Set();
+    (entries || []).forEach((entry, i) => {
+        entry.line = lineAt(indexMarkdown, entry.offset);
+
+        // A malformed link is reported with the other links of index.md below
+        const decodedFile = decodeTarget(entry.file);
+        if (decodedFile !== null) {
+            const chapterFile = path.normalize(path.join(dir, decodedFile));
+            listed.add(chapterFile);
+            if (!fs.existsSync(path.join(ROOT, chapterFile))) {
+                missing.add(chapterFile);
+                report('error', 'missing-chapter', indexFile, entry.line, `Chapter ${entry.num} (${entry.file}) does not exist`);
+            }
+        }
+
+        const expected = i + 1;
+        if (entries.findIndex(other => other.num === entry.num) !== i) {
+            report('error', 'chapter-numbering', indexFile, entry.line, `Chapter number ${entry.num} is used more than once`);
+        } else if (entry.num !== expected) {
+            report('error', 'chapter-numbering', indexFile, entry.line, `Chapter ${entry.num} is listed where chapter ${expected} was expected`);
+        }
+    });
+
+    const files = fs.readdirSync(absoluteDir).filter(file => file.endsWith('.md')).sort();
+    files.forEach(file => {
+        const relativeFile = path.join(dir, file);
+        if (file !== 'index.md' && entries && !listed.has(relativeFile)) {
+            report('warning', 'unlisted-chapter', relativeFile, null, 'File is not listed in the "## Chapters" list of index.md');
+        }
+    });
+
+    const scans = new Map(files.map(file => [path.join(dir, file), scanMarkdown(fs.readFileSync(path.join(absoluteDir, file), 'utf8'))]));
+    const anchorsOf = file => {
+        if (!scans.has(file)) {
+            scans.set(file, scanMarkdown(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+        }
+        return scans.get(file).anchors;
+    };
+
+    for (const file of files) {
+        const relativeFile = path.join(dir, file);
+        const { links, codeBlocks } = scans.get(relativeFile);
+
+        links.forEach(({ href, line }) => {
+            // Only links within the tutorials are checked
+            if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//') || href.startsWith('/')) return;
+
+            const [target, anchor] = href.split('#');
+            const decodedTarget = target ? decodeTarget(target) : '';
+            const decodedAnchor = anchor ? decodeTarget(anchor) : '';
+            if (decodedTarget === null || decodedAnchor === null) {
+                report('error', 'broken-link', relativeFile, line, `Link target "${href}" has a malformed percent escape`);
+                return;
+            }
+
+            const targetFile = target ? path.normalize(path.join(dir, decodedTarget)) : relativeFile;
+            const absoluteTarget = path.join(ROOT, targetFile);
+
+            if (missing.has(targetFile)) {
+                // Already reported as a missing chapter
+            } else if (!fs.existsSync(absoluteTarget) || !fs.statSync(absoluteTarget).isFile()) {
+                report('error', 'broken-link', relativeFile, line, `Link target "${href}" does not exist`);
+            } else if (anchor && targetFile.endsWith('.md') && !anchorsOf(targetFile).has(decodedAnchor)) {
+                report('error', 'broken-anchor', relativeFile, line, `Link target "${href}" has no heading "#${anchor}"`);
+            }
+        });
+
+        for (const block of codeBlocks) {
+            if (!block.language) {
+                report('warning', 'unlabeled-fence', relativeFile, block.line, 'Code fence has no language');
+            } else if (block.language === 'mermaid') {
+                try {
+                    await parseMermaid(block.source);
+                } catch (error) {
+                    const message = error && (error.message || error.str) || String(error);
+                    report('error', 'invalid-mermaid', relativeFile, block.line, `Diagram does not parse: ${summarizeMermaidError(message)}`, message);
+                }
+            }
+        }
+    }
+}
+
+function printText(issues, summary) {
+    issues.forEach(issue => {
+        const location = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+        console.log(`${location}  ${issue.severity}  ${issue.rule}  ${issue.message}`);
+    });
+    if (issues.length > 0) console.log('');
+    console.log(`${summary.errors} error(s), ${summary.warnings} warning(s) in ${summary.tutorials} tutorial(s)`);
+}
+
+async function main() {
+    let options;
+    let directories;
+    try {
+        options = parseArguments(process.argv.slice(2));
+        directories = readManifest();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const issues = [];
+    // detail is the full message where message is shortened, JSON output only
+    const report = (severity, rule, file, line, message, detail) => {
+        const issue = { severity, rule, file: file.split(path.sep).join('/'), line, message };
+        if (detail !== undefined) issue.detail = detail;
+        issues.push(issue);
+    };
+
+    const parseMermaid = loadMermaidParser();
+    for (const dir of directories) {
+        await lintTutorial(dir, parseMermaid, report);
+    }
+
+    const summary = {
+        tutorials: directories.length,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({ ...summary, issues }, null, 2));
+    } else {
+        printText(issues, summary);
+    }
+
+    const failed = summary.errors > 0 || (options.strict && summary.warnings > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});
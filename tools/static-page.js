@@ -0,0 +1,61 @@
+// Behaviour of the pages written by export-static.js. The pages are complete
+// HTML, this only wires up the controls whose event handlers were lost when
+// the rendered viewer was saved, mostly with the viewer's own code
+// (viewer-controls.js).
+document.addEventListener('DOMContentLoaded', function () {
+    // Collapsible tutorial groups in the sidebar
+    document.querySelectorAll('.group-header-toggle').forEach(toggleElement => {
+        toggleElement.addEventListener('click', function () {
+            const groupList = this.nextElementSibling;
+            groupList.classList.toggle('collapsed');
+            const icon = this.querySelector('.toggle-icon');
+            icon.textContent = groupList.classList.contains('collapsed') ? '►' : '▼';
+        });
+    });
+
+    // The sidebar drawer on narrow screens
+    const sidebar = document.getElementById('sidebar');
+    const sidebarToggle = document.getElementById('sidebar-toggle');
+    const sidebarBackdrop = document.getElementById('sidebar-backdrop');
+    const setDrawerOpen = open => {
+        sidebar.classList.toggle('is-open', open);
+        sidebarToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+        sidebarBackdrop.hidden = !open;
+    };
+    sidebarToggle.addEventListener('click', () => setDrawerOpen(!sidebar.classList.contains('is-open')));
+    sidebarBackdrop.addEventListener('click', () => setDrawerOpen(false));
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && sidebar.classList.contains('is-open')) {
+            setDrawerOpen(false);
+            sidebarToggle.focus();
+        }
+    });
+
+    // Code block toolbars: line numbers and copy
+    document.querySelectorAll('.code-block').forEach(wrapper => {
+        const toggle = wrapper.querySelector('.code-line-numbers-toggle');
+        if (toggle) TutorialViewerControls.setupLineNumbersToggle(wrapper, toggle);
+        TutorialViewerControls.setupCopyButton(wrapper.querySelector('.code-copy'), wrapper.querySelector('pre > code'));
+    });
+
+    // Diagram nodes that name a chapter open its page
+    const linkDiagrams = () => {
+        document.querySelectorAll('.mermaid-diagram[data-chapters]').forEach(diagram => {
+            const chapters = JSON.parse(diagram.dataset.chapters);
+            TutorialViewerControls.linkDiagramNodes(diagram, chapters, chapter => {
+                window.location.href = chapter.href;
+            });
+        });
+    };
+
+    // Diagrams that could not be prerendered (exported with --client-diagrams)
+    if (typeof mermaid !== 'undefined') {
+        const dark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: dark ? 'dark' : 'default' });
+        mermaid.run({ querySelector: 'pre.mermaid' })
+            .catch(error => console.warn('Could not render diagram:', error))
+            .then(linkDiagrams);
+    } else {
+        linkDiagrams();
+    }
+});
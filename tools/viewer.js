@@ -0,0 +1,199 @@
+// Runs the viewer (index.html and script.js) in jsdom for the command line
+// tools, so exported files are rendered by exactly the code the site uses.
+//
+// Requires jsdom (npm install --no-save jsdom).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Scripts of index.html that are loaded into jsdom, in this order. Mermaid
+// needs a real layout engine, so the tools supply their own diagram renderer.
+const VIEWER_SCRIPTS = [
+    'vendor/marked/marked.min.js',
+    'vendor/highlight.js/highlight.min.js',
+    'vendor/highlight.js/languages/twig.min.js',
+    'content-format.js',
+    'viewer-controls.js',
+    'script.js'
+];
+
+// Extensions of the render pipeline are the local scripts index.html loads
+// after script.js (see setupExtensions() in script.js)
+function extensionScripts(html) {
+    const sources = Array.from(html.matchAll(/<script\b[^>]*\bsrc="([^"]*)"[^>]*><\/script>/g), match => match[1]);
+    return sources.slice(sources.indexOf('script.js') + 1)
+        .filter(source => !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(source));
+}
+
+// How long to wait for the viewer to render a view before giving up
+const RENDER_TIMEOUT = 30000;
+
+function loadJsdom() {
+    try {
+        return require('jsdom');
+    } catch (error) {
+        console.error('This tool needs jsdom. Install it with: npm install --no-save jsdom');
+        process.exit(1);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Is the Mermaid CLI available to prerender diagrams?
+function hasMermaidCli() {
+    const result = spawnSync('mmdc', ['--version'], { encoding: 'utf8' });
+    return result.status === 0;
+}
+
+// Render a diagram to SVG with the Mermaid CLI
+function renderDiagramWithCli(id, source) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tutorial-diagram-'));
+    try {
+        const input = path.join(dir, 'diagram.mmd');
+        const output = path.join(dir, 'diagram.svg');
+        fs.writeFileSync(input, source);
+
+        const result = spawnSync('mmdc', ['-i', input, '-o', output, '-b', 'transparent', '-I', id], { encoding: 'utf8' });
+        if (result.status !== 0) {
+            throw new Error((result.stderr || '').trim() || 'Mermaid CLI failed');
+        }
+        return fs.readFileSync(output, 'utf8');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Serve the viewer's fetch() calls from the repository
+async function fetchFromDisk(url, options = {}) {
+    const file = path.join(ROOT, decodeURIComponent(new URL(url, 'http://localhost/').pathname));
+    const found = file.startsWith(ROOT + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile();
+    if (!found) {
+        return new Response(null, { status: 404 });
+    }
+    return new Response(options.method === 'HEAD' ? null : fs.readFileSync(file), { status: 200 });
+}
+
+// Wait for an event of the viewer ("chapterrendered", "printviewrendered")
+// whose detail is accepted by the filter
+function waitForEvent(window, type, accept, description) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            window.document.removeEventListener(type, listener);
+            reject(new Error(`Timed out rendering ${description}`));
+        }, RENDER_TIMEOUT);
+
+        function listener(e) {
+            if (!accept(e.detail)) return;
+            clearTimeout(timer);
+            window.document.removeEventListener(type, listener);
+            resolve(e.detail);
+        }
+        window.document.addEventListener(type, listener);
+    });
+}
+
+// Wait for the viewer to finish rendering a chapter (any chapter if path is null)
+function waitForChapter(window, chapterPath) {
+    return waitForEvent(window, 'chapterrendered',
+        detail => !chapterPath || detail.path === chapterPath,
+        chapterPath || 'the first chapter');
+}
+
+// Start the viewer in jsdom and wait until it shows its first chapter.
+// renderDiagram(id, source) returns the SVG (or other HTML) for a diagram.
+// With options.glossary it also waits until the glossary is built, so the
+// chapters rendered after that have their glossary links.
+async function startViewer(jsdom, renderDiagram, options = {}) {
+    const { JSDOM, VirtualConsole } = jsdom;
+
+    // The scripts are evaluated below, after fetch and Mermaid are replaced
+    const page = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const html = page
+        .replace(/<script\b[^>]*\bsrc="[^"]*"[^>]*><\/script>/g, '');
+
+    const virtualConsole = new VirtualConsole();
+    // Newer jsdom versions renamed sendTo() to forwardTo()
+    if (virtualConsole.forwardTo) {
+        virtualConsole.forwardTo(console, { jsdomErrors: 'none' });
+    } else {
+        virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    }
+
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/index.html',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const window = dom.window;
+
+    window.fetch = fetchFromDisk;
+    window.print = () => { };
+    window.scrollTo = () => { };
+    window.Element.prototype.scrollIntoView = function () { };
+    window.mermaid = {
+        initialize() { },
+        render: async (id, source) => ({ svg: renderDiagram(id, source) })
+    };
+
+    const firstChapter = waitForChapter(window, null);
+    const glossary = options.glossary ? waitForEvent(window, 'glossaryready', () => true, 'the glossary') : null;
+    VIEWER_SCRIPTS.concat(extensionScripts(page)).forEach(script => {
+        window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+    });
+    await firstChapter;
+
+    if (glossary) {
+        const { error } = await glossary;
+        if (error) console.warn(`The glossary could not be built, pages have no glossary links: ${error.message}`);
+    }
+
+    return window;
+}
+
+// Open a view of the viewer by its route, like following a link
+function openRoute(window, hash) {
+    window.history.pushState(null, '', hash);
+    window.dispatchEvent(new window.PopStateEvent('popstate'));
+}
+
+// Tutorials and their chapters in sidebar order, as the viewer lists them
+function readTutorialGroups(window) {
+    const groups = {};
+    window.document.querySelectorAll('#chapter-list a').forEach(link => {
+        const groupName = link.closest('.tutorial-group-chapters').previousElementSibling.querySelector('h3').textContent;
+        if (!groups[groupName]) groups[groupName] = [];
+        groups[groupName].push({
+            id: link.getAttribute('href').substring(1),
+            title: link.textContent,
+            path: link.dataset.path,
+            group: groupName,
+            link
+        });
+    });
+    return groups;
+}
+
+module.exports = {
+    ROOT,
+    loadJsdom,
+    escapeHtml,
+    hasMermaidCli,
+    renderDiagramWithCli,
+    waitForEvent,
+    waitForChapter,
+    startViewer,
+    openRoute,
+    readTutorialGroups
+};
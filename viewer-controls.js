@@ -0,0 +1,61 @@
+// Controls of a rendered chapter that both the viewer (script.js) and the
+// pages of the static export (tools/static-page.js) wire up. Loaded before
+// either of them, it is then window.TutorialViewerControls.
+(function (root) {
+    'use strict';
+
+    // Code block toolbar button that shows or hides the line numbers
+    function setupLineNumbersToggle(wrapper, toggle) {
+        toggle.addEventListener('click', () => {
+            const enabled = wrapper.classList.toggle('with-line-numbers');
+            toggle.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+        });
+    }
+
+    // Code block toolbar button that copies the code
+    function setupCopyButton(copyButton, code) {
+        copyButton.addEventListener('click', () => {
+            if (!navigator.clipboard) return;
+
+            navigator.clipboard.writeText(code.textContent).then(() => {
+                copyButton.textContent = 'Copied!';
+            }).catch(() => {
+                copyButton.textContent = 'Copy failed';
+            }).finally(() => {
+                setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+            });
+        });
+    }
+
+    // Make diagram nodes whose label names a chapter ({ title, ... }) open it
+    // with open(chapter). "2. Theme System" and "Theme System" both match.
+    function linkDiagramNodes(viewport, chapters, open) {
+        const normalize = text => text.replace(/^\d+\.\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+        viewport.querySelectorAll('g.node').forEach(node => {
+            const label = normalize(node.textContent);
+            const chapter = chapters.find(ch => normalize(ch.title) === label);
+            if (!chapter) return;
+
+            node.classList.add('diagram-link');
+            node.setAttribute('role', 'link');
+            node.setAttribute('tabindex', '0');
+            node.setAttribute('aria-label', `Open chapter ${chapter.title}`);
+
+            node.addEventListener('click', e => {
+                // A drag to pan the diagram is not a click on a node
+                if (viewport.dataset.dragged === 'true') return;
+                e.stopPropagation();
+                open(chapter);
+            });
+            node.addEventListener('keydown', e => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    open(chapter);
+                }
+            });
+        });
+    }
+
+    root.TutorialViewerControls = { setupLineNumbersToggle, setupCopyButton, linkDiagramNodes };
+}(this));